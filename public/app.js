@@ -16,10 +16,14 @@ window.analytics = window.analytics || {};
  *
  * Server endpoints:
  *   POST /api/scrape -> {jobId}
- *   SSE  /api/scrape/progress/:jobId
- *   GET  /api/job/:id -> {jobId,status,rows,meta,error,insights?}
+ *   SSE  /api/scrape/progress/:jobId (event "row" = แถวที่ parse เสร็จ)
+ *   GET  /api/job/:id[?partial=1] -> {jobId,status,rows,meta,error,insights?}
+ *   DELETE /api/scrape/:jobId -> ยกเลิกงานฝั่ง server (เก็บ rows ที่ได้แล้ว)
+ *   POST /api/job/:id/retry-failed -> parse URL ที่ล้มเหลวใหม่ แล้วต่อ rows เข้างานเดิม
  *   GET  /api/export.csv?jobId=
  *   GET  /api/export.xlsx?jobId=
+ *   GET/POST /api/schedules, PUT/DELETE /api/schedules/:id -> งานตั้งเวลา
+ *   GET/POST /api/searches, POST /api/searches/:id/run, GET /api/alerts -> saved search + alert inbox
  * ===================================================== */
 
 /* ---------------------------
@@ -48,8 +52,12 @@ let state = {
   isRunning: false,
   lastMeta: null,
   lastStatus: "",
+  tableCols: [],
 };
 
+// ตารางเวลา / alert โหลดใหม่ทุก 1 นาที (รอบถัดไป / job ล่าสุด / alert ใหม่)
+const SCHEDULE_REFRESH_MS = 60_000;
+
 // Global Charts Storage (Chart.js instances)
 let dashboardCharts = {};
 let chartOverallRankingInstance = null;
@@ -173,6 +181,8 @@ function setBusy(busy) {
   if (els.btnRun) els.btnRun.disabled = busy;
   if (els.btnSample) els.btnSample.disabled = busy;
   if (els.btnStop) els.btnStop.disabled = !busy;
+  if (els.btnRetryFailed && busy) els.btnRetryFailed.disabled = true;
+  if (els.btnScrapeUrls) els.btnScrapeUrls.disabled = busy || !parseUrlList(els.urlList?.value).length;
 
   if (busy) {
     if (els.btnRun) els.btnRun.textContent = "กำลังทำงาน…";
@@ -202,12 +212,49 @@ function updateExportButtons() {
 
 /* ---------------------------
  * Table
+ * - renderTable: วาดใหม่ทั้งตาราง
+ * - appendTableRows: ต่อท้ายทีละแถวระหว่าง stream (ใช้คอลัมน์เดิม)
  * --------------------------- */
+function renderCell(td, val) {
+  if (isUrl(val)) {
+    const a = document.createElement("a");
+    a.href = val;
+    a.target = "_blank";
+    a.rel = "noreferrer";
+    a.textContent = val.length > 60 ? val.slice(0, 60) + "…" : val;
+    td.appendChild(a);
+  } else if (Array.isArray(val)) {
+    td.textContent = val.join(" | ");
+  } else if (typeof val === "number") {
+    td.textContent = humanNumber(val);
+  } else if (val && typeof val === "object") {
+    const s = JSON.stringify(val);
+    td.textContent = s.length > 140 ? s.slice(0, 140) + "…" : s;
+  } else {
+    td.textContent = val ?? "";
+  }
+}
+
+function buildRowsFragment(rows, cols) {
+  const frag = document.createDocumentFragment();
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    for (const col of cols) {
+      const td = document.createElement("td");
+      renderCell(td, row?.[col]);
+      tr.appendChild(td);
+    }
+    frag.appendChild(tr);
+  }
+  return frag;
+}
+
 function renderTable(rows) {
   if (!els.thead || !els.tbody) return;
 
   els.thead.innerHTML = "";
   els.tbody.innerHTML = "";
+  state.tableCols = [];
 
   if (!Array.isArray(rows) || rows.length === 0) {
     const tr = document.createElement("tr");
@@ -243,47 +290,30 @@ function renderTable(rows) {
     headerRow.appendChild(th);
   }
   els.thead.appendChild(headerRow);
+  state.tableCols = cols;
 
   // body
-  const frag = document.createDocumentFragment();
-  for (const row of rows) {
-    const tr = document.createElement("tr");
-    for (const col of cols) {
-      const td = document.createElement("td");
-      const val = row?.[col];
-
-      if (isUrl(val)) {
-        const a = document.createElement("a");
-        a.href = val;
-        a.target = "_blank";
-        a.rel = "noreferrer";
-        a.textContent = val.length > 60 ? val.slice(0, 60) + "…" : val;
-        td.appendChild(a);
-      } else if (Array.isArray(val)) {
-        td.textContent = val.join(" | ");
-      } else if (typeof val === "number") {
-        td.textContent = humanNumber(val);
-      } else if (val && typeof val === "object") {
-        const s = JSON.stringify(val);
-        td.textContent = s.length > 140 ? s.slice(0, 140) + "…" : s;
-      } else {
-        td.textContent = val ?? "";
-      }
+  els.tbody.appendChild(buildRowsFragment(rows, cols));
+}
 
-      tr.appendChild(td);
-    }
-    frag.appendChild(tr);
+function appendTableRows(rows) {
+  if (!els.thead || !els.tbody || !Array.isArray(rows) || rows.length === 0) return;
+
+  // ยังไม่มีหัวตาราง -> วาดใหม่ทั้งหมดจาก state.rows
+  if (!state.tableCols?.length) {
+    renderTable(state.rows);
+    return;
   }
-  els.tbody.appendChild(frag);
+  els.tbody.appendChild(buildRowsFragment(rows, state.tableCols));
 }
 
 /* ---------------------------
  * Form -> payload
  * --------------------------- */
 function getFormPayload() {
+  // เว้นว่างได้: ให้ AI เลือกแหล่งค้นหาเองตาม Source Strategy
   const startUrl = cleanText(els.startUrl?.value);
-  if (!startUrl) throw new Error("กรุณาใส่ Start URL");
-  if (!/^https?:\/\//i.test(startUrl)) throw new Error("Start URL ต้องขึ้นต้นด้วย http/https");
+  if (startUrl && !/^https?:\/\//i.test(startUrl)) throw new Error("Start URL ต้องขึ้นต้นด้วย http/https");
 
   return {
     startUrl,
@@ -295,10 +325,48 @@ function getFormPayload() {
     maxPages: clampInt(els.maxPages?.value, 1, 200, 3),
     maxResults: clampInt(els.maxResults?.value, 1, 5000, 50),
     sampleEvery: clampInt(els.sampleEvery?.value, 1, 200, 1),
+    sampleSeed: cleanText(els.sampleSeed?.value || ""),
     preferFastMode: els.preferFastMode?.value || "auto",
+    sourceStrategy: els.sourceStrategy?.value || "",
+    incremental: els.incremental?.value === "1",
   };
 }
 
+/**
+ * รายการ URL / listing ID จากข้อความ (textarea หรือไฟล์ CSV/TXT)
+ * - เก็บเฉพาะ token ที่เป็นลิงก์ http(s) หรือตัวเลขล้วน (หัวคอลัมน์/ข้อความอื่นใน CSV ถูกข้าม)
+ * - server ตรวจอีกทีว่าเป็นหน้า detail จริง
+ */
+function parseUrlList(text) {
+  const out = [];
+  for (const raw of String(text ?? "").split(/[\s,;]+/)) {
+    const t = raw.replace(/^["'<]+|["'>]+$/g, "");
+    if (/^https?:\/\//i.test(t) || /^\d{4,}$/.test(t)) out.push(t);
+  }
+  return [...new Set(out)];
+}
+
+function updateUrlListHint() {
+  const n = parseUrlList(els.urlList?.value).length;
+  if (els.urlListHint) els.urlListHint.textContent = n ? `${humanNumber(n)} รายการ` : "ยังไม่มีรายการ";
+  if (els.btnScrapeUrls) els.btnScrapeUrls.disabled = !n || state.isRunning;
+}
+
+async function loadUrlFile() {
+  const file = els.urlFile?.files?.[0];
+  if (!file || !els.urlList) return;
+  try {
+    const text = await file.text();
+    const current = cleanText(els.urlList.value);
+    els.urlList.value = current ? `${current}\n${text}` : text;
+    updateUrlListHint();
+  } catch (e) {
+    showError(`อ่านไฟล์ไม่ได้: ${e.message || e}`);
+  } finally {
+    els.urlFile.value = "";
+  }
+}
+
 /* ---------------------------
  * SSE / Poll
  * --------------------------- */
@@ -320,8 +388,8 @@ function cancelInFlight() {
   closeSSE();
 }
 
-async function fetchJob(jobId) {
-  const url = `/api/job/${encodeURIComponent(jobId)}?t=${Date.now()}`; // ✅ cache buster
+async function fetchJob(jobId, { partial = false } = {}) {
+  const url = `/api/job/${encodeURIComponent(jobId)}?t=${Date.now()}${partial ? "&partial=1" : ""}`; // ✅ cache buster
 
   const r = await fetch(url, {
     method: "GET",
@@ -681,6 +749,7 @@ function createCharts(analytics) {
   createBTSDistanceChart(analytics, colors);
   createCategoryChart(analytics, colors);
   createFacilityChart(analytics, colors);
+  createErrorChart(analytics, colors);
 
   // ✅ NEW: Overall Ranking
   try {
@@ -945,6 +1014,75 @@ function createFacilityChart(analytics, colors) {
   });
 }
 
+/**
+ * Error breakdown ตาม code (meta.error_stats)
+ * - งานเก่าที่ไม่มี error_stats นับจาก meta.errors แทน
+ * - ไม่มี error เลย -> ซ่อนการ์ด
+ */
+function createErrorChart(analytics, colors) {
+  const canvas = byId("chartErrors");
+  if (!canvas) return;
+
+  const meta = analytics.meta || {};
+  let byCode = meta.error_stats?.by_code;
+  if (!byCode) {
+    byCode = {};
+    for (const e of Array.isArray(meta.errors) ? meta.errors : []) {
+      const code = e?.code || "UNKNOWN";
+      byCode[code] = (byCode[code] || 0) + 1;
+    }
+  }
+  const codes = Object.entries(byCode).sort((a, b) => b[1] - a[1]);
+  const total = codes.reduce((sum, c) => sum + c[1], 0);
+
+  const card = canvas.closest(".chart-card");
+  if (card) card.style.display = codes.length ? "" : "none";
+  if (!codes.length) return;
+
+  // block / rate limit = สีส้ม, ประกาศถูกลบ / robots = สีม่วง, ที่เหลือ = สีแดง
+  const colorOf = (code) => {
+    if (code === "BLOCKED" || code === "RATE_LIMITED") return colors.warn;
+    if (code === "NOT_FOUND" || code === "ROBOTS_DISALLOWED") return colors.purple;
+    return colors.danger;
+  };
+
+  dashboardCharts.errors = new Chart(canvas, {
+    type: "bar",
+    data: {
+      labels: codes.map((c) => c[0]),
+      datasets: [
+        {
+          label: "จำนวน error",
+          data: codes.map((c) => c[1]),
+          backgroundColor: codes.map((c) => colorOf(c[0])),
+          borderRadius: 6,
+          borderWidth: 0,
+        },
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const value = context.parsed.x || 0;
+              const percent = total > 0 ? Math.round((value / total) * 100) : 0;
+              return `${value} URL (${percent}%)`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { beginAtZero: true, ticks: { precision: 0 } },
+      },
+    },
+  });
+}
+
 /* ---------------------------
  * Overall Ranking Chart (robust)
  * --------------------------- */
@@ -1206,16 +1344,29 @@ function applyFinal(rows, meta, insights, jobId) {
   updateExportButtons();
 
   const errCount = Array.isArray(meta?.errors) ? meta.errors.length : 0;
+  const filtered = meta?.filtered_total ?? 0;
   const pages = meta?.pagesVisited ?? "-";
   const collected = meta?.collected_links ?? meta?.total_collected ?? "-";
   const elapsedMs = meta?.elapsedMs;
 
+  const cancelled = meta?.cancelled === true;
+  const states = meta?.page_states;
+  const blockText = meta?.degraded && states
+    ? ` | ⚠️ ถูกบล็อก ${humanNumber(states.blocked)} / rate limit ${humanNumber(states.rate_limited)} หน้า`
+    : "";
+  const changes = meta?.listing_changes;
+  const changeText = changes
+    ? ` | new=${humanNumber(changes.new)} changed=${humanNumber(changes.changed)} unchanged=${humanNumber(
+        changes.unchanged
+      )} disappeared=${humanNumber(changes.disappeared)}`
+    : "";
+
   showError("");
-  setProgress(100, "เสร็จสิ้น!");
+  setProgress(100, cancelled ? "ยกเลิกแล้ว" : "เสร็จสิ้น!");
   setMeta(
-    `✅ เสร็จสิ้น! rows=${humanNumber(state.rows.length)} | pages=${humanNumber(pages)} | collected=${humanNumber(
+    `${cancelled ? "⏹️ ยกเลิกแล้ว (ข้อมูลบางส่วน)" : "✅ เสร็จสิ้น!"} rows=${humanNumber(state.rows.length)} | pages=${humanNumber(pages)} | collected=${humanNumber(
       collected
-    )} | errors=${humanNumber(errCount)} | time=${elapsedMs ? Math.round(elapsedMs / 1000) : "-"}s`
+    )} | filtered=${humanNumber(filtered)} | errors=${humanNumber(errCount)} | time=${elapsedMs ? Math.round(elapsedMs / 1000) : "-"}s${changeText}${blockText}`
   );
 
   // ✅ Show dashboard safely
@@ -1226,7 +1377,9 @@ function applyFinal(rows, meta, insights, jobId) {
     showError(e?.message || String(e));
   }
 
+  loadSearchesAndAlerts(); // a saved-search job may have produced alerts
   setBusy(false);
+  renderErrors(meta);
 }
 
 /* ---------------------------
@@ -1279,7 +1432,7 @@ function attachSSE(jobId) {
       return;
     }
 
-    if (status === "done") {
+    if (status === "done" || status === "degraded" || status === "cancelled") {
       setProgress(98, "เสร็จแล้ว กำลังโหลดผลลัพธ์…");
       closeSSE();
 
@@ -1292,7 +1445,7 @@ function attachSSE(jobId) {
           return;
         }
 
-        if (job.status === "done") {
+        if (job.status === "done" || job.status === "degraded" || job.status === "cancelled") {
           applyFinal(job.rows, job.meta, job.insights || insights, jobId);
         } else if (job.status === "error") {
           showError(job.error || "Unknown error");
@@ -1309,11 +1462,36 @@ function attachSSE(jobId) {
       return;
     }
 
+    // server ยังไม่ว่าง -> งานรอคิวอยู่
+    if (status === "queued") {
+      setProgress(2, message || "รอคิว…");
+      setMeta(`⏳ รอคิว ลำดับที่ ${humanNumber(msg.queuePosition || 0)} | Job ID: ${jobId.slice(0, 8)}…`);
+      return;
+    }
+
     showError("");
     setProgress(p, message || "กำลังทำงาน…");
     setMeta(`กำลังทำงาน: pages=${humanNumber(pagesVisited)} | links=${humanNumber(collected)} | parsed=${humanNumber(parsed)}`);
   };
 
+  // row ที่ parse เสร็จ -> ต่อท้ายตารางทันที (server replay แถวเก่าให้ตอนเชื่อมต่อ)
+  es.addEventListener("row", (ev) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(ev.data);
+    } catch {
+      return;
+    }
+    if (!msg?.row) return;
+
+    // กันแถวซ้ำตอน reconnect / replay
+    if (Number.isInteger(msg.index) && msg.index < state.rows.length) return;
+
+    state.rows.push(msg.row);
+    appendTableRows([msg.row]);
+    updateExportButtons();
+  });
+
   es.onerror = () => {
     // SSE unsupported / dropped -> poll
     closeSSE();
@@ -1327,7 +1505,7 @@ async function pollJob(jobId, maxAttempts = 60) {
 
     await sleep(1500);
     try {
-      const job = await fetchJob(jobId);
+      const job = await fetchJob(jobId, { partial: true });
 
       // ถ้า null เพราะ 304 -> skip loop
       if (!job) continue;
@@ -1340,11 +1518,27 @@ async function pollJob(jobId, maxAttempts = 60) {
         return;
       }
 
-      if (job.status === "done") {
+      if (job.status === "done" || job.status === "degraded" || (job.status === "cancelled" && job.meta?.endedAt)) {
         applyFinal(job.rows, job.meta, job.insights || {}, jobId);
         return;
       }
 
+      // รอคิวไม่นับเป็น attempt (คิวอาจยาวกว่า timeout)
+      if (job.status === "queued") {
+        i--;
+        setProgress(2, "รอคิว…");
+        setMeta(`⏳ รอคิว ลำดับที่ ${humanNumber(job.queuePosition || 0)}`);
+        continue;
+      }
+
+      // rows ที่ได้ระหว่างทาง (partial)
+      if (Array.isArray(job.rows) && job.rows.length > state.rows.length) {
+        const fresh = job.rows.slice(state.rows.length);
+        state.rows.push(...fresh);
+        appendTableRows(fresh);
+        updateExportButtons();
+      }
+
       const meta = job.meta || state.lastMeta || {};
       const parsed = meta.total_parsed ?? meta.totalParsed ?? 0;
       const pagesVisited = meta.pagesVisited ?? 0;
@@ -1365,7 +1559,11 @@ async function pollJob(jobId, maxAttempts = 60) {
 /* ---------------------------
  * Run scrape
  * --------------------------- */
-async function runScrape({ sample = false } = {}) {
+/**
+ * เริ่มงาน
+ * - urls: scrape เฉพาะรายการที่ระบุ (POST /api/scrape/urls) แทนการค้นหาจาก Start URL
+ */
+async function runScrape({ sample = false, urls = null } = {}) {
   cancelInFlight();
   showError("");
   state.abortController = new AbortController();
@@ -1381,7 +1579,8 @@ async function runScrape({ sample = false } = {}) {
   destroyDashboardCharts();
 
   try {
-    const payload = getFormPayload();
+    // รายการ URL ไม่ใช้ค่าค้นหาในฟอร์ม (Start URL ที่ผิดจะได้ไม่ขวางการอัปโหลด)
+    const payload = urls ? { urls, preferFastMode: els.preferFastMode?.value || "auto" } : getFormPayload();
 
     if (sample) {
       payload.maxPages = 1;
@@ -1392,7 +1591,7 @@ async function runScrape({ sample = false } = {}) {
     setProgress(0, "กำลังส่งคำขอ…");
     setMeta("");
 
-    const resp = await fetch(`/api/scrape?t=${Date.now()}`, {
+    const resp = await fetch(`${urls ? "/api/scrape/urls" : "/api/scrape"}?t=${Date.now()}`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
@@ -1410,7 +1609,8 @@ async function runScrape({ sample = false } = {}) {
     updateExportButtons();
 
     setProgress(5, "ได้รับ Job ID แล้ว");
-    setMeta(`Job ID: ${jobId.slice(0, 8)}…`);
+    const skipped = data.invalidCount ? ` | ข้าม ${humanNumber(data.invalidCount)} รายการที่ไม่ใช่ลิงก์ประกาศ` : "";
+    setMeta(`Job ID: ${jobId.slice(0, 8)}…${data.queuePosition ? ` | รอคิว ลำดับที่ ${data.queuePosition}` : ""}${skipped}`);
 
     attachSSE(jobId);
   } catch (e) {
@@ -1473,6 +1673,311 @@ async function copySheetsFormula() {
   }
 }
 
+/* ---------------------------
+ * Schedules
+ * --------------------------- */
+function fmtDateTime(iso) {
+  if (!iso) return "-";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "-" : d.toLocaleString("th-TH");
+}
+
+async function apiRequest(method, path, body) {
+  const r = await fetch(path, {
+    method,
+    cache: "no-store",
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `${method} ${path} failed ${r.status}`);
+  return data;
+}
+
+function renderSchedules(schedules) {
+  if (!els.scheduleBody) return;
+  els.scheduleBody.innerHTML = "";
+  if (els.scheduleHint) {
+    els.scheduleHint.textContent = schedules.length ? `${schedules.length} ตารางเวลา` : "ยังไม่มีตารางเวลา";
+  }
+
+  for (const s of schedules) {
+    const tr = document.createElement("tr");
+    const cell = (text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+      return td;
+    };
+
+    cell(s.name);
+    cell(s.cron);
+    cell(s.enabled ? fmtDateTime(s.nextRunAt) : "ปิดอยู่");
+
+    const jobTd = cell(s.lastJobId ? "" : "-");
+    if (s.lastJobId) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn ghost btn-sm";
+      btn.textContent = s.lastJobId.slice(0, 8);
+      btn.title = `${s.lastJobId} (${fmtDateTime(s.lastRunAt)}) — คลิกเพื่อโหลดผล`;
+      btn.addEventListener("click", () => loadScheduledJob(s.lastJobId));
+      jobTd.appendChild(btn);
+    }
+
+    const status = [s.lastJobStatus || "-"];
+    if (s.skippedRuns) status.push(`ข้าม ${s.skippedRuns} รอบ`);
+    if (s.lastError) status.push(`error: ${s.lastError}`);
+    cell(status.join(" | "));
+
+    const actions = cell("");
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "btn ghost btn-sm";
+    toggle.textContent = s.enabled ? "ปิด" : "เปิด";
+    toggle.addEventListener("click", () => updateSchedule(s.id, { enabled: !s.enabled }));
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "btn ghost btn-sm";
+    del.textContent = "ลบ";
+    del.addEventListener("click", () => deleteSchedule(s));
+    actions.append(toggle, del);
+
+    els.scheduleBody.appendChild(tr);
+  }
+}
+
+async function loadSchedules() {
+  try {
+    const data = await apiRequest("GET", `/api/schedules?t=${Date.now()}`);
+    renderSchedules(Array.isArray(data?.schedules) ? data.schedules : []);
+  } catch (e) {
+    if (els.scheduleHint) els.scheduleHint.textContent = `โหลดตารางเวลาไม่ได้: ${e.message || String(e)}`;
+  }
+}
+
+async function addSchedule() {
+  try {
+    const opts = getFormPayload();
+    await apiRequest("POST", "/api/schedules", {
+      name: cleanText(els.scheduleName?.value || ""),
+      cron: cleanText(els.scheduleCron?.value || ""),
+      opts,
+    });
+    if (els.scheduleName) els.scheduleName.value = "";
+    await loadSchedules();
+  } catch (e) {
+    alert(`❌ บันทึกตารางเวลาไม่สำเร็จ\n${e.message || String(e)}`);
+  }
+}
+
+async function updateSchedule(id, patch) {
+  try {
+    await apiRequest("PUT", `/api/schedules/${encodeURIComponent(id)}`, patch);
+  } catch (e) {
+    alert(`❌ ${e.message || String(e)}`);
+  }
+  await loadSchedules();
+}
+
+async function deleteSchedule(s) {
+  if (!confirm(`ลบตารางเวลา "${s.name}"?`)) return;
+  try {
+    await apiRequest("DELETE", `/api/schedules/${encodeURIComponent(s.id)}`);
+  } catch (e) {
+    alert(`❌ ${e.message || String(e)}`);
+  }
+  await loadSchedules();
+}
+
+/** show a scheduled job's rows (finished or partial) */
+async function loadScheduledJob(jobId) {
+  if (state.isRunning) return alert("มีงานที่กำลังรันอยู่");
+  try {
+    const data = await fetchJob(jobId, { partial: true });
+    if (!data) return;
+    applyFinal(data.rows, data.meta, data.insights, jobId);
+    setStatus(`Job ${jobId.slice(0, 8)}: ${data.status}`, "ผลจากงานตั้งเวลา");
+  } catch (e) {
+    showError(e.message || String(e));
+  }
+}
+
+/* ---------------------------
+ * Failed URLs (meta.errors) + retry
+ * --------------------------- */
+function renderErrors(meta) {
+  if (!els.errorBody) return;
+  const errors = Array.isArray(meta?.errors) ? meta.errors : [];
+  els.errorBody.innerHTML = "";
+
+  for (const e of errors) {
+    const tr = document.createElement("tr");
+    const urlTd = tableCell(tr, e?.url ? "" : "-");
+    if (e?.url) {
+      const a = document.createElement("a");
+      a.href = e.url;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.textContent = e.url;
+      urlTd.appendChild(a);
+    }
+    tableCell(tr, e?.code || "-");
+    const attempt = e?.attempt ? ` · ครั้งที่ ${e.attempt}` : "";
+    const took = Number.isFinite(e?.duration_ms) ? ` · ${(e.duration_ms / 1000).toFixed(1)}s` : "";
+    tableCell(tr, e?.stage ? `${e.stage}${attempt}${took}` : "-");
+    tableCell(tr, e?.error || "");
+    els.errorBody.appendChild(tr);
+  }
+
+  const retries = Array.isArray(meta?.retries) ? meta.retries : [];
+  const last = retries[retries.length - 1];
+  if (els.errorHint) {
+    els.errorHint.textContent = errors.length
+      ? `${humanNumber(errors.length)} URL ล้มเหลว${last ? ` | ลองใหม่ล่าสุดได้ ${humanNumber(last.recovered)}/${humanNumber(last.urls)}` : ""}`
+      : "ไม่มี URL ที่ล้มเหลว";
+  }
+  // ประกาศถูกลบ / robots.txt ห้าม: ลองใหม่ก็ไม่ช่วย (server ข้ามให้เหมือนกัน)
+  const retryable = errors.filter((e) => e?.code !== "NOT_FOUND" && e?.code !== "ROBOTS_DISALLOWED");
+  if (els.btnRetryFailed) els.btnRetryFailed.disabled = !retryable.length || !state.jobId || state.isRunning;
+}
+
+async function retryFailed() {
+  const jobId = state.jobId;
+  if (!jobId || state.isRunning) return;
+  try {
+    const data = await apiRequest("POST", `/api/job/${encodeURIComponent(jobId)}/retry-failed`, {});
+    showError("");
+    setBusy(true);
+    setProgress(5, `กำลังลองใหม่ ${humanNumber(data.retrying)} URL…`);
+    setMeta(`Job ID: ${jobId.slice(0, 8)}…${data.queuePosition ? ` | รอคิว ลำดับที่ ${data.queuePosition}` : ""}`);
+    attachSSE(jobId); // rows ใหม่ต่อท้ายตาราง, จบแล้วโหลดผลรวมทั้งงาน
+  } catch (e) {
+    showError(e.message || String(e));
+  }
+}
+
+/* ---------------------------
+ * Saved searches + alerts
+ * --------------------------- */
+function tableCell(tr, text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  tr.appendChild(td);
+  return td;
+}
+
+function smallButton(text, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "btn ghost btn-sm";
+  btn.textContent = text;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderSearches(searches) {
+  if (!els.searchBody) return;
+  els.searchBody.innerHTML = "";
+  for (const s of searches) {
+    const tr = document.createElement("tr");
+    tableCell(tr, s.name);
+    tableCell(tr, (s.rules || []).map((r) => r.name).join(", ") || "-");
+    const jobTd = tableCell(tr, s.lastJobId ? "" : "-");
+    if (s.lastJobId) jobTd.appendChild(smallButton(s.lastJobId.slice(0, 8), () => loadScheduledJob(s.lastJobId)));
+    tableCell(tr, "").append(smallButton("รันตอนนี้", () => runSavedSearch(s)), smallButton("ลบ", () => deleteSearch(s)));
+    els.searchBody.appendChild(tr);
+  }
+}
+
+function renderAlerts(alerts, unread) {
+  if (els.alertHint) {
+    els.alertHint.textContent = alerts.length ? `🔔 ${humanNumber(unread)} ยังไม่อ่าน / ${humanNumber(alerts.length)} ล่าสุด` : "ยังไม่มี alert";
+  }
+  if (!els.alertBody) return;
+  els.alertBody.innerHTML = "";
+  for (const a of alerts) {
+    const tr = document.createElement("tr");
+    if (!a.readAt) tr.className = "alert-unread";
+    const l = a.listing || {};
+    tableCell(tr, fmtDateTime(a.createdAt));
+    tableCell(tr, `${a.searchName}: ${a.ruleName}`);
+    const titleTd = tableCell(tr, "");
+    const link = document.createElement("a");
+    link.href = l.listing_url || "#";
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = l.listing_title || l.listing_id || "-";
+    titleTd.appendChild(link);
+    tableCell(tr, l.price_text || (l.price_value ? humanNumber(l.price_value) : "-"));
+    tableCell(tr, l.nearest_bts_name ? `${l.nearest_bts_name} (${l.nearest_bts_distance_km ?? "-"} km)` : "-");
+    tableCell(tr, a.listing_status || "-");
+    els.alertBody.appendChild(tr);
+  }
+}
+
+async function loadSearchesAndAlerts() {
+  try {
+    const [searches, alerts] = await Promise.all([
+      apiRequest("GET", `/api/searches?t=${Date.now()}`),
+      apiRequest("GET", `/api/alerts?t=${Date.now()}`),
+    ]);
+    renderSearches(Array.isArray(searches?.searches) ? searches.searches : []);
+    renderAlerts(Array.isArray(alerts?.alerts) ? alerts.alerts : [], alerts?.unread || 0);
+  } catch (e) {
+    if (els.alertHint) els.alertHint.textContent = `โหลด alert ไม่ได้: ${e.message || String(e)}`;
+  }
+}
+
+async function addSearch() {
+  try {
+    let rules;
+    try {
+      rules = JSON.parse(els.searchRules?.value || "[]");
+    } catch {
+      throw new Error("Alert rules ต้องเป็น JSON array");
+    }
+    await apiRequest("POST", "/api/searches", {
+      name: cleanText(els.searchName?.value || ""),
+      opts: getFormPayload(),
+      rules,
+    });
+    if (els.searchName) els.searchName.value = "";
+    await loadSearchesAndAlerts();
+  } catch (e) {
+    alert(`❌ บันทึก Saved search ไม่สำเร็จ\n${e.message || String(e)}`);
+  }
+}
+
+async function runSavedSearch(s) {
+  try {
+    const data = await apiRequest("POST", `/api/searches/${encodeURIComponent(s.id)}/run`);
+    setMeta(`▶️ เริ่ม "${s.name}" แล้ว (job ${String(data.jobId).slice(0, 8)}) — alert จะขึ้นด้านล่างเมื่อเจอประกาศที่ตรง rule`);
+  } catch (e) {
+    alert(`❌ ${e.message || String(e)}`);
+  }
+  await loadSearchesAndAlerts();
+}
+
+async function deleteSearch(s) {
+  if (!confirm(`ลบ Saved search "${s.name}"?`)) return;
+  try {
+    await apiRequest("DELETE", `/api/searches/${encodeURIComponent(s.id)}`);
+  } catch (e) {
+    alert(`❌ ${e.message || String(e)}`);
+  }
+  await loadSearchesAndAlerts();
+}
+
+async function markAlertsRead() {
+  try {
+    await apiRequest("POST", "/api/alerts/read", { all: true });
+  } catch (e) {
+    alert(`❌ ${e.message || String(e)}`);
+  }
+  await loadSearchesAndAlerts();
+}
+
 /* ---------------------------
  * Clear / Stop / Preset
  * --------------------------- */
@@ -1489,17 +1994,42 @@ function clearData() {
 
   hideDashboardSection();
   destroyDashboardCharts();
+  renderErrors(null);
 
   setProgress(0, "พร้อมใช้งาน");
   setMeta("ล้างข้อมูลแล้ว");
 }
 
-function stopScrape() {
-  cancelInFlight();
-  showError("");
-  setBusy(false);
-  setStatus("หยุดแล้ว", "ยกเลิกการดึงข้อมูล");
-  setMeta("ยกเลิกการดึงข้อมูล");
+async function stopScrape() {
+  const jobId = state.jobId;
+
+  // ยังไม่ได้ jobId (request แรกยังไม่กลับมา) -> ยกเลิกฝั่ง client อย่างเดียว
+  if (!jobId) {
+    cancelInFlight();
+    showError("");
+    setBusy(false);
+    setStatus("หยุดแล้ว", "ยกเลิกการดึงข้อมูล");
+    setMeta("ยกเลิกการดึงข้อมูล");
+    return;
+  }
+
+  if (els.btnStop) els.btnStop.disabled = true;
+  setStatus("กำลังหยุด…", "รอ server ปิด browser และส่งข้อมูลที่ได้แล้วกลับมา");
+
+  try {
+    const r = await fetch(`/api/scrape/${encodeURIComponent(jobId)}`, { method: "DELETE", cache: "no-store" });
+    if (!r.ok && r.status !== 409) {
+      const t = await r.text().catch(() => "");
+      throw new Error(`DELETE /api/scrape failed ${r.status}: ${t}`);
+    }
+    // ผลลัพธ์สุดท้ายจะมาทาง SSE (status=cancelled) หรือ poll
+    if (!state.sse) pollJob(jobId, 60);
+  } catch (e) {
+    showError(e.message || String(e));
+    cancelInFlight();
+    setBusy(false);
+    setStatus("หยุดแล้ว", "ยกเลิกฝั่ง client เท่านั้น");
+  }
 }
 
 function usePresetDefault() {
@@ -1522,7 +2052,35 @@ function cacheEls() {
     maxPages: byId("maxPages"),
     maxResults: byId("maxResults"),
     sampleEvery: byId("sampleEvery"),
+    sampleSeed: byId("sampleSeed"),
     preferFastMode: byId("preferFastMode"),
+    sourceStrategy: byId("sourceStrategy"),
+    incremental: byId("incremental"),
+
+    scheduleName: byId("scheduleName"),
+    scheduleCron: byId("scheduleCron"),
+    scheduleHint: byId("scheduleHint"),
+    scheduleBody: byId("scheduleBody"),
+    btnAddSchedule: byId("btnAddSchedule"),
+    btnRefreshSchedules: byId("btnRefreshSchedules"),
+
+    searchName: byId("searchName"),
+    searchRules: byId("searchRules"),
+    searchBody: byId("searchBody"),
+    alertHint: byId("alertHint"),
+    alertBody: byId("alertBody"),
+    btnAddSearch: byId("btnAddSearch"),
+    btnRefreshAlerts: byId("btnRefreshAlerts"),
+    btnReadAlerts: byId("btnReadAlerts"),
+
+    errorHint: byId("errorHint"),
+    errorBody: byId("errorBody"),
+    btnRetryFailed: byId("btnRetryFailed"),
+
+    urlList: byId("urlList"),
+    urlFile: byId("urlFile"),
+    urlListHint: byId("urlListHint"),
+    btnScrapeUrls: byId("btnScrapeUrls"),
 
     btnSample: byId("btnSample"),
     btnRun: byId("btnRun"),
@@ -1558,6 +2116,20 @@ function initEvents() {
   if (els.btnClear) els.btnClear.addEventListener("click", clearData);
   if (els.btnPresetDefault) els.btnPresetDefault.addEventListener("click", usePresetDefault);
 
+  if (els.btnAddSchedule) els.btnAddSchedule.addEventListener("click", addSchedule);
+  if (els.btnRefreshSchedules) els.btnRefreshSchedules.addEventListener("click", loadSchedules);
+
+  if (els.btnAddSearch) els.btnAddSearch.addEventListener("click", addSearch);
+  if (els.btnRefreshAlerts) els.btnRefreshAlerts.addEventListener("click", loadSearchesAndAlerts);
+  if (els.btnReadAlerts) els.btnReadAlerts.addEventListener("click", markAlertsRead);
+  if (els.btnRetryFailed) els.btnRetryFailed.addEventListener("click", retryFailed);
+
+  if (els.urlList) els.urlList.addEventListener("input", updateUrlListHint);
+  if (els.urlFile) els.urlFile.addEventListener("change", loadUrlFile);
+  if (els.btnScrapeUrls) {
+    els.btnScrapeUrls.addEventListener("click", () => runScrape({ urls: parseUrlList(els.urlList?.value) }));
+  }
+
   bindDashboardToggle();
 
   // keyboard shortcuts
@@ -1590,6 +2162,13 @@ function init() {
 
   hideDashboardSection();
   destroyDashboardCharts();
+
+  loadSchedules();
+  loadSearchesAndAlerts();
+  setInterval(() => {
+    loadSchedules();
+    loadSearchesAndAlerts();
+  }, SCHEDULE_REFRESH_MS);
 }
 
 /**
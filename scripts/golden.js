@@ -0,0 +1,287 @@
+// ============================================
+// 🧪 GOLDEN-FILE REGRESSION CHECK
+// ============================================
+//
+// Re-runs the extractors on saved pages in fixtures/ and diffs the output
+// against the expected JSON, field by field. Everything runs offline
+// (see parseDetailHtml in src/scraper.js).
+//
+// FIXTURES:
+//   fixtures/urls.json          [{url, detail, listing_id}]  isLivingDetailUrl / listingIdFromUrl
+//   fixtures/list/<name>.json   {url, links, cards?, html?}   collectDetailLinksFromList
+//                               (+ collectListCardsFromList / rowFromListCard for "cards")
+//   fixtures/detail/<name>.json {url, row, html?}             extractDetailData + buildDetailRow
+//
+//   The page is <name>.html next to the JSON unless "html" points elsewhere
+//   (relative to the JSON file, e.g. the snapshots in debug/).
+//   "row" may list only some SCHEMA_KEYS; missing keys are not checked.
+//   "cards" are expected list_only rows in page order, with the same subset rule.
+//   "synthetic": true marks hand-written pages; the check warns until there is a
+//   captured (real) detail page and a captured results page with cards.
+//
+// USAGE:
+//   npm run test:golden                 check everything
+//   npm run test:golden -- condo        only fixtures whose name contains "condo"
+//   npm run test:golden -- --update     rewrite expected JSON from current output
+//   npm run test:golden -- --capture <url> <name>
+//                                       save a live page as fixtures/<detail|list>/<name>
+//                                       and write its expected JSON (review it before committing)
+//
+// Exit code 1 when anything regressed.
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  SCHEMA_KEYS,
+  isLivingDetailUrl,
+  listingIdFromUrl,
+  parseDetailHtml,
+  collectDetailLinksFromHtml,
+  collectListRowsFromHtml,
+} from "../src/scraper.js";
+import { createBrowserPool } from "../src/browserPool.js";
+import { robustGoto } from "../src/common.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.resolve(process.env.GOLDEN_FIXTURES_DIR || path.join(__dirname, "..", "fixtures"));
+
+const args = process.argv.slice(2);
+const CAPTURE = args.includes("--capture");
+const positional = args.filter((a) => !a.startsWith("--"));
+const UPDATE = CAPTURE || args.includes("--update");
+const FILTER = CAPTURE ? "" : positional[0] || "";
+let only = null; // exact fixture name (the captured one)
+
+// ============================================
+// 🔧 HELPERS
+// ============================================
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/** fixtures/<kind>/*.json -> [{name, file, spec, htmlFile}] */
+function loadFixtures(kind) {
+  const dir = path.join(FIXTURES_DIR, kind);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => {
+      const file = path.join(dir, f);
+      const spec = readJson(file);
+      const name = `${kind}/${f.slice(0, -5)}`;
+      const htmlFile = path.resolve(dir, spec.html || `${f.slice(0, -5)}.html`);
+      return { name, file, spec, htmlFile };
+    })
+    .filter((fx) => (only ? fx.name === only : !FILTER || fx.name.includes(FILTER)));
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Compare the expected subset of a row with the actual row
+ * @returns {Array} [{key, expected, actual}]
+ */
+function diffRow(expected, actual) {
+  const diffs = [];
+  for (const key of Object.keys(expected)) {
+    if (!same(expected[key], actual?.[key])) diffs.push({ key, expected: expected[key], actual: actual?.[key] });
+  }
+  return diffs;
+}
+
+const short = (v) => {
+  const s = JSON.stringify(v ?? null);
+  return s.length > 80 ? `${s.slice(0, 77)}...` : s;
+};
+
+// ============================================
+// 📸 CAPTURE
+// ============================================
+
+/**
+ * Save a live page as a fixture: <kind>/<name>.html plus a JSON spec
+ * whose expected output the --update pass below fills in
+ * @param {string} url - Detail or search-results page on the live site
+ * @param {string} name - Fixture name (file name without .html/.json)
+ * @returns {Promise<string>} Fixture name, e.g. "detail/condo_real"
+ */
+async function capturePage(url, name) {
+  if (!/^https?:\/\//i.test(url || "") || !/^[\w-]+$/.test(name || "")) {
+    throw new Error("usage: npm run test:golden -- --capture <url> <name>");
+  }
+  const kind = isLivingDetailUrl(url) ? "detail" : "list";
+  const pool = createBrowserPool({ maxContexts: 1 });
+  let html;
+  try {
+    const ctx = await pool.acquireContext({ locale: "th-TH", timezoneId: "Asia/Bangkok" });
+    try {
+      const page = await ctx.newPage();
+      await robustGoto(page, url, { retries: 2 });
+      await page.waitForTimeout(1500); // cards / contact blocks render after load
+      html = await page.content();
+    } finally {
+      await pool.releaseContext(ctx);
+    }
+  } finally {
+    await pool.close();
+  }
+
+  const dir = path.join(FIXTURES_DIR, kind);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.html`), html);
+  const spec = { url, captured_at: new Date().toISOString() };
+  writeJson(path.join(dir, `${name}.json`), kind === "list" ? { ...spec, links: [], cards: [] } : spec);
+  console.log(`📸 Saved ${kind}/${name}.html (${Math.round(html.length / 1024)} KB)`);
+  return `${kind}/${name}`;
+}
+
+// ============================================
+// 🚀 RUN
+// ============================================
+
+if (CAPTURE) {
+  try {
+    only = await capturePage(positional[0], positional[1]);
+  } catch (e) {
+    console.log(`❌ capture: ${String(e.message || e).split("\n")[0]}`);
+    process.exit(1);
+  }
+}
+
+const results = []; // [{name, ok, diffs?, error?}]
+const regressedColumns = new Map(); // SCHEMA_KEYS column -> [fixture names]
+
+function record(name, diffs, error) {
+  results.push({ name, ok: !error && diffs.length === 0, diffs, error });
+  for (const d of diffs) {
+    if (!SCHEMA_KEYS.includes(d.key)) continue;
+    if (!regressedColumns.has(d.key)) regressedColumns.set(d.key, []);
+    regressedColumns.get(d.key).push(name);
+  }
+}
+
+// URL rules (no browser needed)
+const urlsFile = path.join(FIXTURES_DIR, "urls.json");
+if (fs.existsSync(urlsFile) && !only && (!FILTER || "urls".includes(FILTER))) {
+  const cases = readJson(urlsFile);
+  if (UPDATE) {
+    writeJson(urlsFile, cases.map((c) => ({ url: c.url, detail: isLivingDetailUrl(c.url), listing_id: listingIdFromUrl(c.url) })));
+  } else {
+    cases.forEach((c, i) => {
+      const diffs = [];
+      if (isLivingDetailUrl(c.url) !== c.detail) diffs.push({ key: "isLivingDetailUrl", expected: c.detail, actual: !c.detail });
+      const id = listingIdFromUrl(c.url);
+      if (id !== c.listing_id) diffs.push({ key: "listingIdFromUrl", expected: c.listing_id, actual: id });
+      record(`urls[${i}] ${c.url || "(empty)"}`, diffs);
+    });
+  }
+}
+
+const listFixtures = loadFixtures("list");
+const detailFixtures = loadFixtures("detail");
+
+if (listFixtures.length || detailFixtures.length) {
+  const browserPool = createBrowserPool({ maxContexts: 1 });
+
+  try {
+    for (const fx of listFixtures) {
+      try {
+        const html = fs.readFileSync(fx.htmlFile, "utf8");
+        const links = await collectDetailLinksFromHtml(html, { url: fx.spec.url, browserPool });
+        // list_only rows are only checked for fixtures that list "cards"
+        const cards = fx.spec.cards ? await collectListRowsFromHtml(html, { url: fx.spec.url, browserPool }) : null;
+        if (UPDATE) {
+          const keys = fx.spec.cards?.[0] ? Object.keys(fx.spec.cards[0]) : SCHEMA_KEYS;
+          const pick = (row) => Object.fromEntries(keys.map((k) => [k, row[k] ?? null]));
+          writeJson(fx.file, { ...fx.spec, links, ...(cards ? { cards: cards.map(pick) } : {}) });
+          continue;
+        }
+        const expected = fx.spec.links || [];
+        const missing = expected.filter((l) => !links.includes(l));
+        const extra = links.filter((l) => !expected.includes(l));
+        const diffs = [];
+        if (missing.length) diffs.push({ key: "links (missing)", expected: missing, actual: [] });
+        if (extra.length) diffs.push({ key: "links (unexpected)", expected: [], actual: extra });
+        if (cards) {
+          if (cards.length !== fx.spec.cards.length) diffs.push({ key: "cards (count)", expected: fx.spec.cards.length, actual: cards.length });
+          fx.spec.cards.forEach((exp, i) => {
+            for (const d of diffRow(exp, cards[i])) diffs.push({ ...d, key: `cards[${i}].${d.key}` });
+          });
+        }
+        record(fx.name, diffs);
+      } catch (e) {
+        record(fx.name, [], e);
+      }
+    }
+
+    for (const fx of detailFixtures) {
+      try {
+        const html = fs.readFileSync(fx.htmlFile, "utf8");
+        const row = await parseDetailHtml(html, { url: fx.spec.url, browserPool });
+        if (UPDATE) {
+          // keep the column subset a fixture chose to check
+          const keys = fx.spec.row ? Object.keys(fx.spec.row) : SCHEMA_KEYS;
+          writeJson(fx.file, { ...fx.spec, row: Object.fromEntries(keys.map((k) => [k, row[k] ?? null])) });
+          continue;
+        }
+        record(fx.name, diffRow(fx.spec.row || {}, row));
+      } catch (e) {
+        record(fx.name, [], e);
+      }
+    }
+  } finally {
+    await browserPool.close();
+  }
+}
+
+// ============================================
+// 📊 REPORT
+// ============================================
+
+if (UPDATE) {
+  const errors = results.filter((r) => r.error);
+  for (const r of errors) console.log(`❌ ${r.name}: ${String(r.error.message || r.error).split("\n")[0]}`);
+  console.log(`✍️  Updated expected output in ${path.relative(process.cwd(), FIXTURES_DIR) || "."}`);
+  process.exit(errors.length ? 1 : 0);
+}
+
+for (const r of results) {
+  if (r.ok) {
+    console.log(`✅ ${r.name}`);
+    continue;
+  }
+  console.log(`❌ ${r.name}`);
+  if (r.error) console.log(`   error: ${String(r.error.message || r.error).split("\n")[0]}`);
+  for (const d of r.diffs) {
+    console.log(`   ${d.key}\n     expected: ${short(d.expected)}\n     actual:   ${short(d.actual)}`);
+  }
+}
+
+const failed = results.filter((r) => !r.ok);
+console.log(`\n${results.length - failed.length}/${results.length} fixtures passed`);
+
+// hand-written pages only prove the extractor matches what we expected the site to be
+if (!FILTER) {
+  const real = (fx) => !fx.spec.synthetic;
+  if (!detailFixtures.some(real)) console.log("⚠️  No captured detail page in fixtures/detail (add one with --capture)");
+  if (!listFixtures.some((fx) => real(fx) && fx.spec.cards?.length)) {
+    console.log("⚠️  No captured results page with cards in fixtures/list (add one with --capture)");
+  }
+}
+
+if (regressedColumns.size) {
+  console.log("\nRegressed SCHEMA_KEYS columns:");
+  for (const [key, names] of regressedColumns) console.log(`  - ${key} (${names.join(", ")})`);
+}
+
+process.exit(failed.length ? 1 : 0);
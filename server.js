@@ -11,14 +11,23 @@ import { fileURLToPath } from "url";
 import { v4 as uuidv4 } from "uuid";
 import * as XLSX from "xlsx";
 
-import scrapeListings from "./src/scraper.js";
+import scrapeListings, { parseDetailHtml, SCHEMA_KEYS } from "./src/scraper.js";
+import { createJobStore } from "./src/jobStore.js";
+import { createBrowserPool } from "./src/browserPool.js";
+import { createLearningStore } from "./src/learningStore.js";
+import { createListingIndex, historyFields } from "./src/listingIndex.js";
+import { getAdapter, listAdapters, resolveAdapter, normalizeDetailTargets } from "./src/adapters/index.js";
+import { SOURCE_STRATEGIES, normalizeStrategy } from "./src/bandit.js";
+import { createScheduler } from "./src/scheduler.js";
+import { createWebhooks } from "./src/webhooks.js";
+import { createAlertStore, normalizeRules } from "./src/alerts.js";
+import { sharedRateLimiter } from "./src/rateLimiter.js";
+import { summarizeErrors, PERMANENT_CODES } from "./src/errors.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log("Listening on", PORT));
-
 
 /** =========================
  *  Crash guards
@@ -37,54 +46,257 @@ const TTL_MS = Number(process.env.CACHE_TTL_MS || 60 * 60 * 1000); // 60 min
 const MAX_CACHE_ITEMS = Number(process.env.CACHE_MAX_ITEMS || 100);
 const JSON_LIMIT = String(process.env.JSON_LIMIT || "2mb");
 const SSE_PING_MS = Number(process.env.SSE_PING_MS || 15_000);
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
+const JOB_STORE = String(process.env.JOB_STORE || "file"); // file | memory
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS || 7 * 24 * 60 * 60 * 1000); // 7 days, 0 = keep forever
+const RETENTION_SWEEP_MS = 60 * 60 * 1000;
+const PERSIST_DEBOUNCE_MS = Number(process.env.PERSIST_DEBOUNCE_MS || 3000);
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.MAX_CONCURRENT_JOBS || 1));
+const BROWSER_POOL_MAX_CONTEXTS = Math.max(1, Number(process.env.BROWSER_POOL_MAX_CONTEXTS || 2));
+const LEARNING_HALF_LIFE_MS = Number(process.env.LEARNING_HALF_LIFE_MS || 14 * 24 * 60 * 60 * 1000); // 14 days, 0 = no decay
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, ""); // export URLs in webhooks
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5));
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000); // 2s, 4s, 8s, ...
+const RETRY_DETAIL_TIMEOUT_MS = Number(process.env.RETRY_DETAIL_TIMEOUT_MS || 90_000); // retry-failed default (slower pages)
+const MAX_URL_LIST = 5000; // listings per /api/scrape/urls job (same cap as maxResults)
 
 /** =========================
- *  In-memory job store
+ *  Job store
+ *  - jobs (Map) = cache ในหน่วยความจำ (TTL/MAX_CACHE_ITEMS ใช้กับ cache เท่านั้น)
+ *  - store      = ที่เก็บถาวร (default: ไฟล์ JSON ใน DATA_DIR/jobs)
+ *    job ที่หลุดจาก cache จะถูกโหลดกลับจาก store เมื่อมีคนเรียก
+ *    ลบจริงเมื่อเกิน JOB_RETENTION_MS เท่านั้น
  *  ========================= */
 const jobs = new Map();
+const store = createJobStore({ driver: JOB_STORE, dir: path.join(DATA_DIR, "jobs") });
+
+/** =========================
+ *  AI learning state
+ *  - คะแนนของแต่ละ source / สถิติราคา สะสมข้ามงาน (DATA_DIR/learning.json)
+ *  - ข้อมูลเก่าค่อยๆ มีน้ำหนักน้อยลง (half-life = LEARNING_HALF_LIFE_MS)
+ *  ========================= */
+const learningStore = createLearningStore({
+  file: JOB_STORE === "memory" ? null : path.join(DATA_DIR, "learning.json"),
+  halfLifeMs: LEARNING_HALF_LIFE_MS,
+});
+
+/** =========================
+ *  Listing index
+ *  - จำ listing ที่เคยเห็น (DATA_DIR/index/<adapter>.json)
+ *  - ใช้นับ new / changed / unchanged / disappeared และโหมด incremental
+ *  ========================= */
+const listingIndex = createListingIndex({
+  dir: JOB_STORE === "memory" ? null : path.join(DATA_DIR, "index"),
+});
+
+/** =========================
+ *  Saved searches + alerts
+ *  - saved search = opts + alert rules (DATA_DIR/alerts.json)
+ *  - job ที่มี opts.savedSearchId จะตรวจ rule กับทุกแถว แล้วเก็บที่ match เป็น alert
+ *  ========================= */
+const alertStore = createAlertStore({
+  file: JOB_STORE === "memory" ? null : path.join(DATA_DIR, "alerts.json"),
+});
+
+// row fields copied into an alert (the full row stays in the job)
+const ALERT_ROW_KEYS = [
+  "listing_id", "listing_url", "listing_title", "category", "deal_type", "project_name",
+  "price_text", "price_value", "bedrooms", "usable_area_sqm",
+  "nearest_bts_name", "nearest_bts_distance_km", "anomaly_flags", "cover_image",
+];
+
+function alertRecord(search, jobId, { rule, change, row }) {
+  const listing = {};
+  for (const k of ALERT_ROW_KEYS) listing[k] = row?.[k] ?? null;
+  return {
+    id: uuidv4(),
+    searchId: search.id,
+    searchName: search.name,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    jobId,
+    listing_status: change?.status || null,
+    previous_price_value: change?.previous_price_value ?? null,
+    listing,
+    createdAt: new Date().toISOString(),
+    readAt: null,
+  };
+}
 
-/** cleanup timer (TTL) */
+/** =========================
+ *  Webhooks
+ *  - POST JSON (ลงชื่อ HMAC) ไปยัง URL ที่สมัครไว้เมื่อ job เริ่ม / เสร็จ / error / ยกเลิก
+ *  - subscription เก็บใน DATA_DIR/webhooks.json, ประวัติการส่งล่าสุดอยู่ในหน่วยความจำ
+ *  ========================= */
+const webhooks = createWebhooks({
+  file: JOB_STORE === "memory" ? null : path.join(DATA_DIR, "webhooks.json"),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+});
+
+/** webhook payload: job summary + where to download the rows */
+function jobPayload(jobId, j) {
+  const q = encodeURIComponent(jobId);
+  return {
+    jobId,
+    status: j.status,
+    createdAt: new Date(j.createdAt).toISOString(),
+    opts: j.opts,
+    meta: j.meta,
+    rowCount: Array.isArray(j.rows) ? j.rows.length : 0,
+    error: j.error ? String(j.error).split("\n")[0] : null,
+    exports: {
+      csv: `${PUBLIC_BASE_URL}/api/export.csv?jobId=${q}`,
+      xlsx: `${PUBLIC_BASE_URL}/api/export.xlsx?jobId=${q}`,
+      json: `${PUBLIC_BASE_URL}/api/job/${q}`,
+    },
+  };
+}
+
+function notifyJob(jobId, event) {
+  const j = jobs.get(jobId);
+  if (j) webhooks.emit(event, jobPayload(jobId, j));
+}
+
+function endClients(j) {
+  try {
+    if (j.clients) {
+      for (const res of j.clients) {
+        try { res.end(); } catch {}
+      }
+    }
+  } catch {}
+}
+
+/** serializable part of a job */
+function toRecord(jobId, j) {
+  return {
+    jobId,
+    createdAt: j.createdAt,
+    updatedAt: j.updatedAt,
+    status: j.status,
+    opts: j.opts,
+    meta: j.meta,
+    insights: j.insights || null,
+    rows: j.rows,
+    error: j.error,
+    checkpoint: j.checkpoint || null,
+    retry: j.retry || null,
+  };
+}
+
+/** rebuild an in-memory job from a stored record */
+function fromRecord(rec) {
+  // a job cannot still be running (or waiting in a queue) after a restart;
+  // a retry-failed run that was cut short leaves the job as it was (its rows so far are kept)
+  const status = isActive(rec) ? rec.retry?.prevStatus || "interrupted" : rec.status;
+  return {
+    createdAt: rec.createdAt,
+    updatedAt: rec.updatedAt,
+    accessedAt: Date.now(),
+    status,
+    opts: rec.opts || {},
+    meta: rec.meta || { errors: [] },
+    insights: rec.insights || null,
+    rows: Array.isArray(rec.rows) ? rec.rows : [],
+    error: rec.error || null,
+    checkpoint: rec.checkpoint || null,
+    retry: null,
+    clients: new Set(),
+    abortController: new AbortController(),
+  };
+}
+
+const persistTimers = new Map();
+
+/**
+ * Save a job to the store
+ * @param {string} jobId
+ * @param {boolean} immediate - false = debounce (progress/row updates)
+ */
+function persistJob(jobId, immediate = true) {
+  const flush = () => {
+    persistTimers.delete(jobId);
+    const j = jobs.get(jobId);
+    if (j) store.save(jobId, toRecord(jobId, j));
+  };
+
+  if (immediate) {
+    clearTimeout(persistTimers.get(jobId));
+    return flush();
+  }
+  if (!persistTimers.has(jobId)) persistTimers.set(jobId, setTimeout(flush, PERSIST_DEBOUNCE_MS));
+}
+
+function isExpired(createdAt) {
+  return JOB_RETENTION_MS > 0 && Date.now() - createdAt > JOB_RETENTION_MS;
+}
+
+/** reload persisted jobs on startup */
+function loadPersistedJobs() {
+  let loaded = 0;
+  for (const rec of store.loadAll()) {
+    if (!rec?.jobId) continue;
+    if (isExpired(rec.createdAt)) {
+      store.remove(rec.jobId);
+      continue;
+    }
+    const j = fromRecord(rec);
+    jobs.set(rec.jobId, j);
+    if (rec.status !== j.status) persistJob(rec.jobId);
+    loaded++;
+  }
+  evictIfNeeded();
+  if (loaded > 0) console.log(`[store] Reloaded ${loaded} jobs from ${store.driver} store`);
+}
+
+/** cleanup timer (memory TTL) */
 setInterval(() => {
   const now = Date.now();
   let cleaned = 0;
 
   for (const [jobId, j] of jobs.entries()) {
-    if (now - j.createdAt > TTL_MS) {
-      try {
-        if (j.clients) {
-          for (const res of j.clients) {
-            try { res.end(); } catch {}
-          }
-        }
-      } catch {}
+    if (isActive(j)) continue;
+    if (now - (j.accessedAt || j.createdAt) > TTL_MS) {
+      endClients(j);
       jobs.delete(jobId);
       cleaned++;
     }
   }
 
   if (cleaned > 0) {
-    console.log(`[cleanup] Removed ${cleaned} expired jobs. Active: ${jobs.size}`);
+    console.log(`[cleanup] Unloaded ${cleaned} idle jobs from memory. Active: ${jobs.size}`);
   }
 }, Math.min(TTL_MS / 2, 60_000)).unref();
 
+/** retention timer (delete from store) */
+setInterval(() => {
+  let removed = 0;
+  for (const { jobId, createdAt, status } of store.list()) {
+    const j = jobs.get(jobId);
+    if ((j ? isActive(j) : isActive({ status })) || !isExpired(createdAt)) continue;
+    if (j) endClients(j);
+    jobs.delete(jobId);
+    store.remove(jobId);
+    removed++;
+  }
+  if (removed > 0) console.log(`[retention] Deleted ${removed} jobs older than ${Math.round(JOB_RETENTION_MS / 3600000)}h`);
+}, RETENTION_SWEEP_MS).unref();
+
 /** Keep cache bounded */
 function evictIfNeeded() {
   if (jobs.size <= MAX_CACHE_ITEMS) return;
 
-  const entries = [...jobs.entries()].sort((a, b) => a[1].createdAt - b[1].createdAt);
-  const removeN = Math.max(1, jobs.size - MAX_CACHE_ITEMS);
+  const entries = [...jobs.entries()]
+    .filter(([, j]) => !isActive(j))
+    .sort((a, b) => (a[1].accessedAt || a[1].createdAt) - (b[1].accessedAt || b[1].createdAt));
+  const removeN = Math.min(entries.length, Math.max(1, jobs.size - MAX_CACHE_ITEMS));
 
-  console.log(`[evict] Removing ${removeN} oldest jobs to stay under ${MAX_CACHE_ITEMS}`);
+  console.log(`[evict] Unloading ${removeN} least recently used jobs to stay under ${MAX_CACHE_ITEMS}`);
 
   for (let i = 0; i < removeN; i++) {
     const [jobId, j] = entries[i];
-    try {
-      if (j.clients) {
-        for (const res of j.clients) {
-          try { res.end(); } catch {}
-        }
-      }
-    } catch {}
+    endClients(j);
     jobs.delete(jobId);
   }
 }
@@ -98,7 +310,8 @@ function createJob(opts) {
   jobs.set(jobId, {
     createdAt: now,
     updatedAt: now,
-    status: "running",
+    accessedAt: now,
+    status: "queued",
     opts,
     meta: {
       pagesVisited: 0,
@@ -107,39 +320,69 @@ function createJob(opts) {
       total_parsed: 0,
       errors: [],
     },
+    insights: null,
     rows: [],
     error: null,
+    checkpoint: null, // set by scrapeListings during the detail phase (see resume)
+    retry: null, // {urls, opts, prevStatus} while retry-failed runs
     clients: new Set(),
+    abortController: new AbortController(),
   });
 
+  persistJob(jobId);
   console.log(`[job] Created job ${jobId.slice(0, 8)} | Active: ${jobs.size}`);
   return jobId;
 }
 
+/** queued or running */
+function isActive(j) {
+  return j.status === "queued" || j.status === "running";
+}
+
+/** stopped before the end: can continue with POST /api/job/:id/resume */
+function isResumable(j) {
+  return j.status === "interrupted" || j.status === "cancelled";
+}
+
+/** jobs whose rows can be read/exported (interrupted = server restarted mid-run, rows are partial;
+ *  degraded = finished, but the site blocked / rate-limited some pages;
+ *  retry-failed ที่ queued/running อยู่: ยังอ่านผลเดิมได้ตามสถานะก่อน retry) */
+function hasResult(j) {
+  const status = j.retry?.prevStatus || j.status;
+  return status === "done" || status === "degraded" || status === "cancelled" || status === "interrupted";
+}
+
 function getJob(jobId) {
-  const j = jobs.get(jobId);
-  if (!j) return null;
+  let j = jobs.get(jobId);
 
-  if (Date.now() - j.createdAt > TTL_MS) {
-    jobs.delete(jobId);
-    return null;
+  if (!j) {
+    // not in memory -> try the persistent store
+    const rec = store.get(jobId);
+    if (!rec || isExpired(rec.createdAt)) return null;
+    evictIfNeeded();
+    j = fromRecord(rec);
+    jobs.set(jobId, j);
   }
+
+  j.accessedAt = Date.now();
   return j;
 }
 
 /** =========================
  *  SSE helpers
  *  ========================= */
-function sseSend(res, obj) {
+function sseSend(res, obj, event) {
   try {
+    if (event) res.write(`event: ${event}\n`);
     res.write(`data: ${JSON.stringify(obj)}\n\n`);
   } catch {}
 }
 
-function broadcast(jobId, obj) {
+/** event: unnamed = status/meta message, "row" = one parsed row */
+function broadcast(jobId, obj, event) {
   const j = jobs.get(jobId);
   if (!j?.clients) return;
-  for (const res of j.clients) sseSend(res, obj);
+  for (const res of j.clients) sseSend(res, obj, event);
 }
 
 function closeAllClients(jobId) {
@@ -190,14 +433,25 @@ function clampInt(v, min, max, fallback) {
   if (!Number.isFinite(n)) return fallback;
   return Math.min(max, Math.max(min, Math.trunc(n)));
 }
+function isTruthy(v) {
+  return v === true || ["1", "true", "yes", "on"].includes(String(v ?? "").toLowerCase());
+}
 function normalizeOpts(body) {
   const b = body && typeof body === "object" ? body : {};
   const startUrl = cleanStr(b.startUrl);
-  if (!startUrl) throw new Error("startUrl is required");
-  if (!/^https?:\/\//i.test(startUrl)) throw new Error("startUrl must start with http/https");
+  if (startUrl && !/^https?:\/\//i.test(startUrl)) throw new Error("startUrl must start with http/https");
+  // no startUrl: the AI picks search sources of `adapter` (default LivingInsider) with sourceStrategy
+  const adapter = resolveAdapter({ adapter: startUrl ? null : cleanStr(b.adapter), url: startUrl }); // throws for unknown sites
+  const savedSearchId = cleanStr(b.savedSearchId) || null;
+  if (savedSearchId && !alertStore.getSearch(savedSearchId)) throw new Error("savedSearchId not found");
+  const sourceStrategy = cleanStr(b.sourceStrategy).toLowerCase();
+  if (sourceStrategy && !SOURCE_STRATEGIES.includes(sourceStrategy)) {
+    throw new Error(`sourceStrategy must be one of ${SOURCE_STRATEGIES.join(", ")}`);
+  }
 
   return {
     startUrl,
+    adapter: adapter.id,
     dealType: cleanStr(b.dealType),
     category: cleanStr(b.category),
     keyword: cleanStr(b.keyword),
@@ -206,7 +460,12 @@ function normalizeOpts(body) {
     maxPages: clampInt(b.maxPages, 1, 200, 3),
     maxResults: clampInt(b.maxResults, 1, 5000, 50),
     sampleEvery: clampInt(b.sampleEvery, 1, 100, 1),
+    sampleSeed: cleanStr(b.sampleSeed),
     preferFastMode: cleanStr(b.preferFastMode || b.fastMode || "auto"),
+    sourceStrategy: normalizeStrategy(sourceStrategy),
+    provenance: isTruthy(b.provenance),
+    incremental: isTruthy(b.incremental),
+    savedSearchId,
   };
 }
 
@@ -257,6 +516,13 @@ app.get("/api/health", (_req, res) => {
     port: PORT,
     ttl_ms: TTL_MS,
     jobs: jobs.size,
+    job_store: store.driver,
+    retention_ms: JOB_RETENTION_MS,
+    queue: { running: activeJobs.size, queued: jobQueue.length, max_concurrent: MAX_CONCURRENT_JOBS },
+    browser_pool: browserPool.stats(),
+    adapters: listAdapters(),
+    listing_index: listingIndex.stats(),
+    rate_limiter: sharedRateLimiter().stats(),
   });
 });
 
@@ -279,14 +545,21 @@ app.get("/api/scrape/progress/:jobId", (req, res) => {
   j.clients.add(res);
   console.log(`[sse] Client connected to job ${jobId.slice(0, 8)} | clients=${j.clients.size}`);
 
+  const position = queuePosition(jobId);
   sseSend(res, {
     jobId,
     status: j.status,
+    ...(position ? { queuePosition: position } : {}),
     meta: j.meta,
-    message: j.status === "running" ? "started" : "ready",
+    message: position ? `รอคิว (ลำดับที่ ${position})` : j.status === "running" ? "started" : "ready",
     ts: Date.now(),
   });
 
+  // replay rows parsed before this client connected
+  if (j.status === "running") {
+    j.rows.forEach((row, index) => sseSend(res, { jobId, index, row }, "row"));
+  }
+
   const ping = setInterval(() => {
     try {
       res.write(`: ping ${Date.now()}\n\n`);
@@ -303,38 +576,121 @@ app.get("/api/scrape/progress/:jobId", (req, res) => {
 });
 
 /** =========================
- *  Run scrape
- *  - async default: returns {jobId}
- *  - sync=1: returns {jobId, rows, meta} (wait until done)
+ *  Job queue
+ *  - MAX_CONCURRENT_JOBS jobs run at once, the rest wait (status "queued")
+ *  - every job borrows browser contexts from one shared pool
  *  ========================= */
-app.post("/api/scrape", async (req, res) => {
-  let jobId = "";
-  try {
-    const opts = normalizeOpts(req.body);
-    jobId = createJob(opts);
+const browserPool = createBrowserPool({ maxContexts: BROWSER_POOL_MAX_CONTEXTS });
+const jobQueue = []; // jobIds waiting to run
+const activeJobs = new Set();
+const jobWaiters = new Map(); // jobId -> resolve (sync=1 requests)
+
+function queuePosition(jobId) {
+  return jobQueue.indexOf(jobId) + 1; // 0 = not queued
+}
+
+/** tell every queued job where it stands */
+function broadcastQueuePositions() {
+  jobQueue.forEach((jobId, i) => {
     const j = jobs.get(jobId);
+    if (!j) return;
+    broadcast(jobId, {
+      jobId,
+      status: "queued",
+      queuePosition: i + 1,
+      message: `รอคิว (ลำดับที่ ${i + 1})`,
+      meta: j.meta,
+      ts: Date.now(),
+    });
+  });
+}
 
-    const isSync = String(req.query.sync || "") === "1";
+/**
+ * Add a job to the queue
+ * @returns {Promise<void>} Resolves when the job has finished (done/error/cancelled)
+ */
+function enqueueJob(jobId) {
+  const finished = new Promise((resolve) => jobWaiters.set(jobId, resolve));
+  jobQueue.push(jobId);
+  pumpQueue();
+  return finished;
+}
 
-    // if async: respond immediately
-    if (!isSync) {
-      res.json({ jobId });
-    }
+/** remove a queued job before it starts */
+function dequeueJob(jobId) {
+  const i = jobQueue.indexOf(jobId);
+  if (i < 0) return false;
+  jobQueue.splice(i, 1);
+  jobWaiters.get(jobId)?.();
+  jobWaiters.delete(jobId);
+  broadcastQueuePositions();
+  return true;
+}
 
-    broadcast(jobId, { jobId, status: "running", message: "เริ่มสแครป…", meta: j?.meta, ts: Date.now() });
+function pumpQueue() {
+  while (activeJobs.size < MAX_CONCURRENT_JOBS && jobQueue.length) {
+    const jobId = jobQueue.shift();
+    activeJobs.add(jobId);
+    runJob(jobId).finally(() => {
+      activeJobs.delete(jobId);
+      jobWaiters.get(jobId)?.();
+      jobWaiters.delete(jobId);
+      pumpQueue();
+    });
+  }
+  broadcastQueuePositions();
+}
+
+/**
+ * Run one job to completion (never throws, errors end up in j.error)
+ * @param {string} jobId
+ */
+async function runJob(jobId) {
+  const j = jobs.get(jobId);
+  if (!j || j.status !== "queued") return;
+
+  const opts = j.opts;
+  j.status = "running";
+  j.updatedAt = Date.now();
+  persistJob(jobId);
+
+  try {
+    broadcast(jobId, { jobId, status: "running", message: "เริ่มสแครป…", meta: j.meta, ts: Date.now() });
+    if (!j.retry) notifyJob(jobId, "job.started");
 
     const startedAt = Date.now();
     console.log(`[scrape] Starting job ${jobId.slice(0, 8)} | pages=${opts.maxPages} results=${opts.maxResults}`);
 
+    const search = opts.savedSearchId ? alertStore.getSearch(opts.savedSearchId) : null;
+    if (search) await alertStore.updateSearch(search.id, { lastJobId: jobId });
+
+    // retry-failed: parse only the failed URLs, rows are appended to this job
+    const retry = j.retry;
+    // a queued job with a checkpoint is a resumed one: keep its rows, skip finished links
+    const resume = !retry && j.checkpoint ? { checkpoint: j.checkpoint, rows: [...j.rows] } : null;
+    if (resume) console.log(`[scrape] Resuming job ${jobId.slice(0, 8)} with ${j.rows.length} rows`);
+    if (retry) console.log(`[scrape] Retrying ${retry.urls.length} failed URLs of job ${jobId.slice(0, 8)}`);
+
     const result = await scrapeListings({
       ...opts,
+      ...(retry ? { ...retry.opts, detailUrls: retry.urls } : {}),
+      resume,
+      browserPool,
+      learning: learningStore,
+      listingIndex,
+      alertRules: search?.rules || [],
+      onAlert: (match) => {
+        alertStore.addAlerts([alertRecord(search, jobId, match)]);
+      },
+      signal: j.abortController.signal,
       onProgress: (p) => {
         const jj = jobs.get(jobId);
         if (!jj) return;
 
-        const nextMeta = { ...(jj.meta || {}), ...(p?.meta || {}) };
+        // a retry run reports its own counters; the job keeps its meta until endRetry
+        const nextMeta = retry ? { ...(p?.meta || {}) } : { ...(jj.meta || {}), ...(p?.meta || {}) };
         jj.updatedAt = Date.now();
-        jj.meta = nextMeta;
+        if (!retry) jj.meta = nextMeta;
 
         // Log progress periodically
         if (p?.stage === "detail" || (nextMeta.total_parsed % 5 === 0)) {
@@ -343,62 +699,221 @@ app.post("/api/scrape", async (req, res) => {
           );
         }
 
+        persistJob(jobId, false);
+
         broadcast(jobId, {
           jobId,
-          status: "running",
+          status: jj.status === "cancelled" ? "cancelling" : "running",
           message: p?.message || p?.stage || "กำลังทำงาน…",
           meta: nextMeta,
           ts: Date.now(),
         });
       },
+      onRow: (row) => {
+        const jj = jobs.get(jobId);
+        if (!jj) return;
+        jj.rows.push(row);
+        jj.updatedAt = Date.now();
+        persistJob(jobId, false);
+        broadcast(jobId, { jobId, index: jj.rows.length - 1, row }, "row");
+      },
+      onCheckpoint: (checkpoint) => {
+        const jj = jobs.get(jobId);
+        if (!jj || retry) return;
+        jj.checkpoint = checkpoint; // saved together with the rows it belongs to
+        persistJob(jobId, false);
+      },
     });
 
     const elapsedMs = Date.now() - startedAt;
+    if (retry) return endRetry(jobId, j, result);
+
+    // cancelled jobs keep their status but still get the rows parsed so far
+    if (j.status !== "cancelled") j.status = result?.meta?.degraded ? "degraded" : "done";
+    if (j.status !== "cancelled") j.checkpoint = null; // finished: nothing left to resume
+    j.rows = Array.isArray(result?.rows) ? result.rows : [];
+    j.meta = { ...(j.meta || {}), ...(result?.meta || {}), elapsedMs };
+    j.insights = result?.insights || null;
+    j.updatedAt = Date.now();
+    persistJob(jobId);
+
+    const message =
+      j.status === "cancelled" ? "ยกเลิกแล้ว (เก็บข้อมูลที่ได้ไว้)" : j.status === "degraded" ? "เสร็จแล้ว (บางหน้าถูกบล็อก)" : "เสร็จแล้ว";
+    broadcast(jobId, { jobId, status: j.status, meta: j.meta, message, ts: Date.now() });
+    closeAllClients(jobId);
+    notifyJob(jobId, j.status === "cancelled" ? "job.cancelled" : "job.done");
+
+    console.log(
+      `✅ job ${jobId.slice(0, 8)} ${j.status} | rows=${j.rows.length} | elapsed=${Math.round(elapsedMs / 1000)}s | errors=${
+        j.meta?.errors?.length || 0
+      }`
+    );
+  } catch (err) {
+    if (j.retry) return endRetry(jobId, j, null, err);
 
-    if (j) {
-      j.status = "done";
-      j.rows = Array.isArray(result?.rows) ? result.rows : [];
-      j.meta = { ...(j.meta || {}), ...(result?.meta || {}), elapsedMs };
+    // cancelled while waiting for a browser context: not a failure
+    if (j.status === "cancelled") {
+      j.meta = { ...(j.meta || {}), cancelled: true, endedAt: new Date().toISOString() };
       j.updatedAt = Date.now();
-
-      broadcast(jobId, { jobId, status: "done", meta: j.meta, message: "เสร็จแล้ว", ts: Date.now() });
+      persistJob(jobId);
+      broadcast(jobId, { jobId, status: "cancelled", meta: j.meta, message: "ยกเลิกแล้ว", ts: Date.now() });
       closeAllClients(jobId);
-
-      console.log(
-        `✅ job ${jobId.slice(0, 8)} done | rows=${j.rows.length} | elapsed=${Math.round(elapsedMs / 1000)}s | errors=${
-          j.meta?.errors?.length || 0
-        }`
-      );
+      notifyJob(jobId, "job.cancelled");
+      return;
     }
 
-    // if sync: now return full payload
-    if (isSync) {
-      return res.json({ jobId, rows: j?.rows || [], meta: j?.meta || {} });
-    }
-  } catch (err) {
     console.error("❌ SCRAPE FAILED:", err);
 
-    if (jobId && jobs.has(jobId)) {
-      const j = jobs.get(jobId);
-      j.status = "error";
-      j.error = String(err?.stack || err?.message || err);
-      j.updatedAt = Date.now();
-      broadcast(jobId, { jobId, status: "error", error: j.error, meta: j.meta, ts: Date.now() });
-      closeAllClients(jobId);
-    }
+    j.status = "error";
+    j.error = String(err?.stack || err?.message || err);
+    j.updatedAt = Date.now();
+    persistJob(jobId);
+    broadcast(jobId, { jobId, status: "error", error: j.error, meta: j.meta, ts: Date.now() });
+    closeAllClients(jobId);
+    notifyJob(jobId, "job.error");
+  }
+}
+
+/**
+ * Merge a retry-failed run into its job and put the job back in its earlier status
+ * (recovered rows were already appended by onRow)
+ * @param {string} jobId
+ * @param {object} j - Job
+ * @param {object|null} result - scrapeListings result, null when it threw / never ran
+ * @param {Error|null} err
+ */
+function endRetry(jobId, j, result, err = null) {
+  const { urls, prevStatus } = j.retry;
+  const wanted = new Set(urls);
+  const failed = Array.isArray(result?.meta?.errors) ? result.meta.errors : [];
+  const recovered = new Set((result?.rows || []).map((r) => r.listing_url));
+  const tried = new Set(failed.map((e) => e.url));
+  const completed = Boolean(result) && !result.meta?.cancelled;
+
+  // URLs the run did not get to (cancelled / failed to start) keep their old error
+  const kept = (j.meta?.errors || []).filter(
+    (e) => !wanted.has(e.url) || (!completed && !recovered.has(e.url) && !tried.has(e.url))
+  );
+
+  const errors = [...kept, ...failed];
+  j.status = prevStatus;
+  j.retry = null;
+  j.meta = {
+    ...(j.meta || {}),
+    errors,
+    error_stats: summarizeErrors(errors),
+    total_parsed: j.rows.length,
+    retries: [
+      ...(j.meta?.retries || []),
+      {
+        at: new Date().toISOString(),
+        urls: wanted.size,
+        recovered: recovered.size,
+        failed: failed.length,
+        completed,
+        error: err ? String(err?.message || err).split("\n")[0] : null,
+      },
+    ],
+  };
+  j.updatedAt = Date.now();
+  persistJob(jobId);
+
+  const message = err ? `ลองใหม่ไม่สำเร็จ: ${err.message || err}` : `ลองใหม่แล้ว: ได้เพิ่ม ${recovered.size}/${wanted.size} รายการ`;
+  broadcast(jobId, { jobId, status: j.status, meta: j.meta, message, ts: Date.now() });
+  closeAllClients(jobId);
+  if (!err && (j.status === "done" || j.status === "degraded")) notifyJob(jobId, "job.done");
+
+  console.log(`🔁 job ${jobId.slice(0, 8)} retry: recovered=${recovered.size}/${wanted.size} failed=${failed.length}${err ? ` error=${err.message}` : ""}`);
+}
+
+/**
+ * Queue a job and answer the request that started it
+ * @param {Request} req - ?sync=1 waits for the result
+ * @param {Response} res
+ * @param {object} opts - Normalized options
+ * @param {object} extra - Extra response fields
+ */
+async function startJob(req, res, opts, extra = {}) {
+  const jobId = createJob(opts);
+  const finished = enqueueJob(jobId);
+  const isSync = String(req.query.sync || "") === "1";
+
+  // if async: respond immediately
+  if (!isSync) {
+    const j = jobs.get(jobId);
+    return res.json({ jobId, status: j.status, queuePosition: queuePosition(jobId), ...extra });
+  }
+
+  // if sync: wait, then return full payload
+  await finished;
+  const j = jobs.get(jobId);
+  if (j?.status === "error") return res.status(400).json({ jobId, error: String(j.error).split("\n")[0] });
+  res.json({ jobId, rows: j?.rows || [], meta: j?.meta || {}, ...extra });
+}
+
+/** =========================
+ *  Run scrape
+ *  - async default: returns {jobId, status, queuePosition}
+ *  - sync=1: returns {jobId, rows, meta} (wait until done)
+ *  ========================= */
+app.post("/api/scrape", async (req, res) => {
+  let opts;
+  try {
+    opts = normalizeOpts(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err) });
+  }
+
+  await startJob(req, res, opts);
+});
 
-    if (!res.headersSent) res.status(400).json({ error: String(err?.message || err) });
+/** =========================
+ *  Scrape a given list of listings (shortlist / ลิงก์จากอีเมลลูกค้า)
+ *  - body.urls: array ของ URL หน้า detail หรือ listing id ล้วน ๆ
+ *    หรือข้อความทั้งก้อน (TXT/CSV) คั่นด้วยขึ้นบรรทัด / เว้นวรรค / , / ;
+ *  - ไม่มีขั้นเก็บลิงก์จากหน้า search: ส่งเข้า detail worker + scoring เลย
+ *  - รายการที่ไม่ใช่หน้า detail (isDetailUrl) คืนใน invalid, เริ่มงานถ้ามีที่ใช้ได้อย่างน้อย 1
+ *  - body อื่น ๆ: adapter, preferFastMode, provenance; sync=1 เหมือน /api/scrape
+ *  ========================= */
+app.post("/api/scrape/urls", async (req, res) => {
+  const b = req.body && typeof req.body === "object" ? req.body : {};
+  const items = Array.isArray(b.urls) ? b.urls : String(b.urls ?? "").split(/[\s,;]+/);
+
+  let opts;
+  let targets = null;
+  try {
+    const firstUrl = items.map(cleanStr).find((u) => /^https?:\/\//i.test(u));
+    const adapter = resolveAdapter({ adapter: cleanStr(b.adapter), url: firstUrl });
+    targets = normalizeDetailTargets(adapter, items);
+    if (!targets.urls.length) throw new Error(`no ${adapter.name} detail URLs or listing ids in urls`);
+    if (targets.urls.length > MAX_URL_LIST) throw new Error(`at most ${MAX_URL_LIST} listings per job`);
+
+    opts = normalizeOpts({ adapter: adapter.id, preferFastMode: b.preferFastMode, provenance: b.provenance });
+    if (opts.preferFastMode === "list_only") throw new Error("list_only cannot parse detail pages");
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err), invalid: targets?.invalid.slice(0, 50) || [] });
   }
+
+  opts.detailUrls = targets.urls;
+  opts.maxResults = targets.urls.length;
+  console.log(`[job] URL list: ${targets.urls.length} listings (${targets.invalid.length} invalid entries skipped)`);
+  await startJob(req, res, opts, {
+    accepted: targets.urls.length,
+    invalidCount: targets.invalid.length,
+    invalid: targets.invalid.slice(0, 50),
+  });
 });
 
 /** =========================
  *  Fetch job result
  *  ✅ สำคัญ: route นี้ต้องไม่โดน 304 อีกต่อไป
  *  เพราะเราปิด ETag + บังคับ no-store แล้ว
+ *  - ?partial=1: คืน rows ที่ parse เสร็จแล้วระหว่างงานยังรันอยู่
  *  ========================= */
 app.get("/api/job/:id", (req, res) => {
   const jobId = String(req.params.id || "");
   const j = getJob(jobId);
+  const partial = String(req.query.partial || "") === "1";
 
   if (!j) {
     console.log(`[job] Job ${jobId.slice(0, 8)} not found or expired`);
@@ -416,8 +931,431 @@ app.get("/api/job/:id", (req, res) => {
     status: j.status,
     meta: j.meta,
     error: j.error,
-    rows: j.status === "done" ? j.rows : [],
+    queuePosition: queuePosition(jobId),
+    insights: j.insights || null,
+    rows: hasResult(j) || partial ? j.rows : [],
+    partial: !hasResult(j),
+    resumable: isResumable(j),
+  });
+});
+
+/** =========================
+ *  Retry the failed detail URLs of a finished job
+ *  - parse เฉพาะ URL ใน meta.errors (หรือ body.urls ที่เลือก) แล้วต่อ rows เข้างานเดิม
+ *  - default ช้ากว่าปกติ: preferFastMode=full, timeout RETRY_DETAIL_TIMEOUT_MS, ทีละ 1 หน้า
+ *  - จบแล้วงานกลับเป็นสถานะเดิม, ผลแต่ละรอบอยู่ใน meta.retries
+ *  ========================= */
+app.post("/api/job/:id/retry-failed", (req, res) => {
+  const jobId = String(req.params.id || "");
+  const b = req.body && typeof req.body === "object" ? req.body : {};
+  const j = getJob(jobId);
+  if (!j) return res.status(404).json({ error: "job not found or expired" });
+  // interrupted jobs should be resumed first
+  const finished = j.status === "done" || j.status === "degraded" || j.status === "cancelled";
+  if (!finished || activeJobs.has(jobId) || jobQueue.includes(jobId)) return res.status(409).json({ error: `job is ${j.status}` });
+
+  let adapter;
+  try {
+    adapter = resolveAdapter({ adapter: j.opts?.adapter, url: j.opts?.startUrl });
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err) });
+  }
+
+  // list-page errors cannot be retried this way; URLs with a row already were recovered earlier;
+  // removed listings / robots.txt refusals would only fail again
+  const have = new Set(j.rows.map((r) => r.listing_url));
+  const failed = [...new Set((j.meta?.errors || [])
+    .filter((e) => !PERMANENT_CODES.includes(e?.code))
+    .map((e) => e?.url)
+    .filter((u) => u && adapter.isDetailUrl(u) && !have.has(u)))];
+  const picked = Array.isArray(b.urls) ? failed.filter((u) => b.urls.includes(u)) : failed;
+  if (!picked.length) return res.status(400).json({ error: "no failed detail URLs to retry" });
+
+  const mode = cleanStr(b.preferFastMode || "full");
+  if (mode === "list_only") return res.status(400).json({ error: "list_only cannot parse detail pages" });
+
+  j.retry = {
+    urls: picked,
+    prevStatus: j.status,
+    opts: {
+      preferFastMode: mode,
+      detailTimeoutMs: clampInt(b.detailTimeoutMs, 5000, 10 * 60 * 1000, RETRY_DETAIL_TIMEOUT_MS),
+      concurrency: clampInt(b.concurrency, 1, 4, 1),
+    },
+  };
+  j.status = "queued";
+  j.abortController = new AbortController();
+  j.updatedAt = Date.now();
+  persistJob(jobId);
+  enqueueJob(jobId);
+
+  console.log(`[job] Retry ${picked.length} failed URLs of ${jobId.slice(0, 8)}`);
+  res.json({ jobId, status: j.status, queuePosition: queuePosition(jobId), retrying: picked.length });
+});
+
+/** =========================
+ *  Resume an interrupted / cancelled job
+ *  - ต่อจาก checkpoint ล่าสุด: ไม่เก็บลิงก์ใหม่ ไม่ parse ลิงก์ที่เสร็จแล้วซ้ำ, rows เดิมอยู่ครบ
+ *  - หยุดก่อนถึงขั้น parse (ยังไม่มี checkpoint) -> เริ่มงานใหม่ด้วย opts เดิม
+ *  ========================= */
+app.post("/api/job/:id/resume", (req, res) => {
+  const jobId = String(req.params.id || "");
+  const j = getJob(jobId);
+  if (!j) return res.status(404).json({ error: "job not found or expired" });
+  if (!isResumable(j)) return res.status(409).json({ error: `job is ${j.status}` });
+  // cancelled but the scraper has not returned yet
+  if (activeJobs.has(jobId) || jobQueue.includes(jobId)) return res.status(409).json({ error: "job is still stopping" });
+
+  if (!j.checkpoint) j.rows = [];
+  j.status = "queued";
+  j.error = null;
+  j.abortController = new AbortController();
+  j.meta = { ...(j.meta || {}), cancelled: false, endedAt: null };
+  j.updatedAt = Date.now();
+  persistJob(jobId);
+  enqueueJob(jobId);
+
+  const done = j.checkpoint?.finished?.length || 0;
+  const total = j.checkpoint?.sampled?.length || 0;
+  console.log(`[job] Resume ${jobId.slice(0, 8)}: ${j.checkpoint ? `${done}/${total} links done` : "no checkpoint, starting over"}`);
+  res.json({
+    jobId,
+    status: j.status,
+    queuePosition: queuePosition(jobId),
+    resumed: j.checkpoint ? { finished: done, remaining: total - done, rows: j.rows.length } : null,
+  });
+});
+
+/** =========================
+ *  Cancel a running job
+ *  - scraper stops workers, closes its browser contexts
+ *    and returns the rows parsed so far (still exportable)
+ *  ========================= */
+app.delete("/api/scrape/:jobId", (req, res) => {
+  const jobId = String(req.params.jobId || "");
+  const j = getJob(jobId);
+  if (!j) return res.status(404).json({ error: "job not found or expired" });
+  if (!isActive(j)) return res.status(409).json({ error: `job is ${j.status}` });
+
+  const wasQueued = j.status === "queued";
+  j.status = "cancelled";
+  j.updatedAt = Date.now();
+  j.abortController.abort();
+
+  // a retry-failed run that has not started: just drop it
+  if (wasQueued && j.retry && dequeueJob(jobId)) {
+    endRetry(jobId, j, null);
+    return res.json({ jobId, status: j.status });
+  }
+
+  // never started: finish it right here
+  if (wasQueued && dequeueJob(jobId)) {
+    j.meta = { ...(j.meta || {}), cancelled: true, endedAt: new Date().toISOString() };
+    persistJob(jobId);
+    console.log(`[cancel] Job ${jobId.slice(0, 8)} removed from queue`);
+    broadcast(jobId, { jobId, status: "cancelled", meta: j.meta, message: "ยกเลิกแล้ว", ts: Date.now() });
+    closeAllClients(jobId);
+    notifyJob(jobId, "job.cancelled");
+    return res.json({ jobId, status: j.status });
+  }
+
+  persistJob(jobId);
+  console.log(`[cancel] Job ${jobId.slice(0, 8)} cancel requested`);
+
+  broadcast(jobId, { jobId, status: "cancelling", meta: j.meta, message: "กำลังหยุด…", ts: Date.now() });
+  res.json({ jobId, status: j.status });
+});
+
+/** =========================
+ *  Scheduled scrapes
+ *  - schedule = cron + opts (รูปแบบเดียวกับ normalizeOpts) เก็บใน DATA_DIR/schedules.json
+ *  - ถึงเวลาแล้ว job ก่อนหน้ายังไม่จบ -> ข้ามรอบนั้น (skippedRuns)
+ *  ========================= */
+const scheduler = createScheduler({
+  file: JOB_STORE === "memory" ? null : path.join(DATA_DIR, "schedules.json"),
+  startJob: (schedule) => {
+    const jobId = createJob(schedule.opts);
+    enqueueJob(jobId);
+    return jobId;
+  },
+  isJobActive: (jobId) => {
+    const j = getJob(jobId);
+    return Boolean(j && isActive(j));
+  },
+});
+
+/** schedule + status of its last job, for the API / UI */
+function scheduleView(s) {
+  const last = s.lastJobId ? getJob(s.lastJobId) : null;
+  return { ...s, lastJobStatus: last?.status || null };
+}
+
+/** validate a create / update body; opts go through normalizeOpts */
+function normalizeSchedule(body, partial = false) {
+  const b = body && typeof body === "object" ? body : {};
+  const out = {};
+  if (b.name !== undefined) out.name = cleanStr(b.name);
+  if (b.cron !== undefined || !partial) {
+    out.cron = cleanStr(b.cron);
+    if (!out.cron) throw new Error("cron is required");
+  }
+  if (b.opts !== undefined || !partial) out.opts = normalizeOpts(b.opts);
+  if (b.enabled !== undefined) out.enabled = isTruthy(b.enabled);
+  return out;
+}
+
+app.get("/api/schedules", (_req, res) => {
+  res.json({ schedules: scheduler.list().map(scheduleView) });
+});
+
+app.get("/api/schedules/:id", (req, res) => {
+  const s = scheduler.get(String(req.params.id || ""));
+  if (!s) return res.status(404).json({ error: "schedule not found" });
+  res.json(scheduleView(s));
+});
+
+app.post("/api/schedules", async (req, res) => {
+  try {
+    const s = await scheduler.create(normalizeSchedule(req.body));
+    console.log(`[schedule] Created ${s.name} (${s.cron}) | next: ${s.nextRunAt}`);
+    res.status(201).json(scheduleView(s));
+  } catch (err) {
+    res.status(400).json({ error: String(err?.message || err) });
+  }
+});
+
+app.put("/api/schedules/:id", async (req, res) => {
+  let s;
+  try {
+    s = await scheduler.update(String(req.params.id || ""), normalizeSchedule(req.body, true));
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err) });
+  }
+  if (!s) return res.status(404).json({ error: "schedule not found" });
+  res.json(scheduleView(s));
+});
+
+app.delete("/api/schedules/:id", async (req, res) => {
+  const removed = await scheduler.remove(String(req.params.id || ""));
+  if (!removed) return res.status(404).json({ error: "schedule not found" });
+  res.json({ ok: true });
+});
+
+/** =========================
+ *  Saved searches
+ *  - POST body: {name, opts: {...เหมือน POST /api/scrape}, rules: [...]} (rule format: src/alerts.js)
+ *  - POST /api/searches/:id/run -> เริ่ม job จาก search นี้ (ตรวจ rules)
+ *  - schedule ใช้ได้ด้วย opts.savedSearchId
+ *  ========================= */
+function normalizeSearch(body, partial = false) {
+  const b = body && typeof body === "object" ? body : {};
+  const out = {};
+  if (b.name !== undefined) out.name = cleanStr(b.name);
+  if (b.opts !== undefined || !partial) {
+    out.opts = normalizeOpts(b.opts);
+    delete out.opts.savedSearchId; // set when the search runs
+  }
+  if (b.rules !== undefined || !partial) out.rules = normalizeRules(b.rules, SCHEMA_KEYS);
+  return out;
+}
+
+app.get("/api/searches", (_req, res) => {
+  res.json({ searches: alertStore.listSearches() });
+});
+
+app.get("/api/searches/:id", (req, res) => {
+  const s = alertStore.getSearch(String(req.params.id || ""));
+  if (!s) return res.status(404).json({ error: "saved search not found" });
+  res.json(s);
+});
+
+app.post("/api/searches", async (req, res) => {
+  try {
+    const s = await alertStore.createSearch(normalizeSearch(req.body));
+    console.log(`[alerts] Saved search ${s.name} (${s.rules.length} rules)`);
+    res.status(201).json(s);
+  } catch (err) {
+    res.status(400).json({ error: String(err?.message || err) });
+  }
+});
+
+app.put("/api/searches/:id", async (req, res) => {
+  let s;
+  try {
+    s = await alertStore.updateSearch(String(req.params.id || ""), normalizeSearch(req.body, true));
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err) });
+  }
+  if (!s) return res.status(404).json({ error: "saved search not found" });
+  res.json(s);
+});
+
+app.delete("/api/searches/:id", async (req, res) => {
+  const removed = await alertStore.removeSearch(String(req.params.id || ""));
+  if (!removed) return res.status(404).json({ error: "saved search not found" });
+  res.json({ ok: true });
+});
+
+app.post("/api/searches/:id/run", (req, res) => {
+  const s = alertStore.getSearch(String(req.params.id || ""));
+  if (!s) return res.status(404).json({ error: "saved search not found" });
+
+  const jobId = createJob({ ...s.opts, savedSearchId: s.id });
+  enqueueJob(jobId);
+  res.json({ jobId, status: jobs.get(jobId).status, queuePosition: queuePosition(jobId) });
+});
+
+/** =========================
+ *  Alerts inbox
+ *  - GET /api/alerts?searchId=&unread=1&limit= -> {alerts (ใหม่สุดก่อน), unread}
+ *  - POST /api/alerts/read {ids: [...]} หรือ {all: true}
+ *  ========================= */
+app.get("/api/alerts", (req, res) => {
+  const alerts = alertStore.listAlerts({
+    searchId: cleanStr(req.query.searchId) || null,
+    unread: isTruthy(req.query.unread),
+    limit: clampInt(req.query.limit, 1, 1000, 100),
   });
+  res.json({ alerts, unread: alertStore.unreadCount() });
+});
+
+app.post("/api/alerts/read", async (req, res) => {
+  const b = req.body && typeof req.body === "object" ? req.body : {};
+  const ids = isTruthy(b.all) ? "all" : Array.isArray(b.ids) ? b.ids.map(String) : null;
+  if (!ids) return res.status(400).json({ error: "send {ids: [...]} or {all: true}" });
+  await alertStore.markRead(ids);
+  res.json({ ok: true, unread: alertStore.unreadCount() });
+});
+
+/** =========================
+ *  Webhook subscriptions
+ *  - POST body: {url, events?: ["job.done", ...] (default ทุก event), secret?, enabled?}
+ *    secret จะแสดงเต็มเฉพาะตอนสร้าง (ใช้ตรวจ X-Webhook-Signature)
+ *  - GET /api/webhooks/deliveries?webhookId=&limit= -> การส่งล่าสุด
+ *  ========================= */
+function normalizeWebhook(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const out = {};
+  for (const k of ["url", "events", "secret"]) if (b[k] !== undefined) out[k] = b[k];
+  if (b.enabled !== undefined) out.enabled = isTruthy(b.enabled);
+  return out;
+}
+
+app.get("/api/webhooks", (_req, res) => {
+  res.json({ webhooks: webhooks.list() });
+});
+
+app.post("/api/webhooks", async (req, res) => {
+  try {
+    const s = await webhooks.create(normalizeWebhook(req.body));
+    console.log(`[webhook] Subscribed ${s.url} (${s.events.join(", ")})`);
+    res.status(201).json(s);
+  } catch (err) {
+    res.status(400).json({ error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/webhooks/deliveries", (req, res) => {
+  const webhookId = cleanStr(req.query.webhookId) || null;
+  const limit = clampInt(req.query.limit, 1, 200, 50);
+  res.json({ deliveries: webhooks.deliveries({ webhookId, limit }) });
+});
+
+app.put("/api/webhooks/:id", async (req, res) => {
+  let s;
+  try {
+    s = await webhooks.update(String(req.params.id || ""), normalizeWebhook(req.body));
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err) });
+  }
+  if (!s) return res.status(404).json({ error: "webhook not found" });
+  res.json(s);
+});
+
+app.delete("/api/webhooks/:id", async (req, res) => {
+  const removed = await webhooks.remove(String(req.params.id || ""));
+  if (!removed) return res.status(404).json({ error: "webhook not found" });
+  res.json({ ok: true });
+});
+
+/** =========================
+ *  AI learning state
+ *  - GET    -> source scores / price stats per adapter
+ *  - DELETE -> reset (?adapter=id for one adapter only)
+ *  ========================= */
+app.get("/api/learning", (_req, res) => {
+  res.json(learningStore.summary());
+});
+
+app.delete("/api/learning", async (req, res) => {
+  const adapter = cleanStr(req.query.adapter) || null;
+  if (adapter) {
+    try {
+      getAdapter(adapter);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  }
+  await learningStore.reset(adapter);
+  console.log(`[learning] Reset ${adapter || "all adapters"}`);
+  res.json({ ok: true, reset: adapter || "all" });
+});
+
+/** =========================
+ *  Listing history (price / status timeline)
+ *  - GET /api/listings/:listingId/history?adapter=id (default LivingInsider)
+ *  - snapshot ทุกครั้งที่ job scrape รายการนี้ + "disappeared" เมื่อหายจากผลค้นหา
+ *  ========================= */
+app.get("/api/listings/:listingId/history", (req, res) => {
+  let adapter;
+  try {
+    adapter = resolveAdapter({ adapter: cleanStr(req.query.adapter) || null });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const listingId = cleanStr(req.params.listingId);
+  const entry = listingIndex.get(adapter.id, listingId);
+  if (!entry) return res.status(404).json({ error: "Listing not found in index" });
+
+  res.json({
+    adapter: adapter.id,
+    listing_id: listingId,
+    url: entry.url,
+    ...historyFields(entry),
+    disappeared_at: entry.disappeared_at,
+    snapshots: entry.history || [],
+  });
+});
+
+/** =========================
+ *  Parse saved HTML (offline, no network)
+ *  - JSON: {html, url?, adapter?, provenance?}
+ *  - or raw text/html body with ?url=...&adapter=...&provenance=1
+ *  - adapter defaults to the one matching url (LivingInsider when no url)
+ *  ========================= */
+app.post("/api/parse-html", express.text({ type: "text/html", limit: JSON_LIMIT }), async (req, res) => {
+  const isRaw = typeof req.body === "string";
+  const html = isRaw ? req.body : req.body?.html;
+  const url = cleanStr(isRaw ? req.query.url : req.body?.url) || null;
+  const adapter = cleanStr(isRaw ? req.query.adapter : req.body?.adapter) || null;
+  const provenance = isTruthy(isRaw ? req.query.provenance : req.body?.provenance);
+
+  if (typeof html !== "string" || !html.trim()) return res.status(400).json({ error: "html is required" });
+  if (url && !/^https?:\/\//i.test(url)) return res.status(400).json({ error: "url must start with http(s)://" });
+  try {
+    if (adapter) getAdapter(adapter);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const row = await parseDetailHtml(html, { url, adapter, browserPool, provenance });
+    res.json({ row });
+  } catch (err) {
+    console.error("❌ PARSE-HTML FAILED:", err);
+    res.status(422).json({ error: String(err?.message || err) });
+  }
 });
 
 /** =========================
@@ -427,7 +1365,7 @@ app.get("/api/export.csv", (req, res) => {
   const jobId = cleanStr(req.query.jobId);
   const j = getJob(jobId);
   if (!j) return res.status(404).send("job not found or expired");
-  if (j.status !== "done") return res.status(409).send("job not ready yet");
+  if (!hasResult(j)) return res.status(409).send("job not ready yet");
 
   const csv = toCsv(j.rows);
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
@@ -439,7 +1377,7 @@ app.get("/api/export.xlsx", (req, res) => {
   const jobId = cleanStr(req.query.jobId);
   const j = getJob(jobId);
   if (!j) return res.status(404).send("job not found or expired");
-  if (j.status !== "done") return res.status(409).send("job not ready yet");
+  if (!hasResult(j)) return res.status(409).send("job not ready yet");
 
   const buf = toXlsxBuffer(j.rows);
   res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
@@ -452,15 +1390,42 @@ app.get("*", (_req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+/** Shutdown: close the shared browser */
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.once(sig, async () => {
+    console.log(`[shutdown] ${sig}, closing browser pool`);
+    await browserPool.close();
+    process.exit(0);
+  });
+}
+
 /** Listen */
+loadPersistedJobs();
+scheduler.start();
+
 app.listen(PORT, () => {
   console.log(`LivingInsider Scraper UI running on http://localhost:${PORT}`);
   console.log(`TTL: ${Math.round(TTL_MS / 60000)} minutes | Max cache: ${MAX_CACHE_ITEMS} jobs`);
+  console.log(`Queue: ${MAX_CONCURRENT_JOBS} concurrent jobs | Browser pool: ${BROWSER_POOL_MAX_CONTEXTS} contexts`);
+  console.log(`Job store: ${store.driver}${store.dir ? ` (${store.dir})` : ""} | Retention: ${
+    JOB_RETENTION_MS > 0 ? `${Math.round(JOB_RETENTION_MS / 3600000)}h` : "forever"
+  }`);
   console.log(`API:
-  - POST /api/scrape              (async, returns {jobId})
+  - POST /api/scrape              (async, returns {jobId, status, queuePosition})
   - POST /api/scrape?sync=1       (sync, returns {jobId, rows, meta})
-  - SSE  /api/scrape/progress/:jobId
-  - GET  /api/job/:id
+  - POST /api/scrape/urls         ({urls: [...]} -> parse these detail URLs, same job flow)
+  - SSE  /api/scrape/progress/:jobId  (events: message=meta, row=parsed row)
+  - GET  /api/job/:id[?partial=1]
+  - DEL  /api/scrape/:jobId       (cancel queued/running job, keeps partial rows)
+  - POST /api/job/:id/resume      (continue an interrupted / cancelled job from its checkpoint)
+  - POST /api/job/:id/retry-failed  (re-parse the failed detail URLs, merge into the job)
+  - POST /api/parse-html          ({html, url?} -> {row}, offline)
+  - GET  /api/schedules           (recurring scrapes: POST / PUT /:id / DELETE /:id)
+  - GET  /api/searches            (saved searches + alert rules: POST / PUT /:id / DELETE /:id / POST /:id/run)
+  - GET  /api/alerts              (alert inbox, POST /api/alerts/read)
+  - GET  /api/webhooks            (job event webhooks: POST / PUT /:id / DELETE /:id, GET /deliveries)
+  - GET  /api/learning            (AI source scores, DELETE to reset)
+  - GET  /api/listings/:listingId/history  (price / status timeline)
   - GET  /api/export.csv?jobId=...
   - GET  /api/export.xlsx?jobId=...`);
 });
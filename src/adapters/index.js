@@ -0,0 +1,122 @@
+// ============================================
+// 🔌 SITE ADAPTERS
+// ============================================
+//
+// Everything site-specific lives in an adapter, so the same pipeline
+// (sampling, dedupe, filters, scoring, export, dashboard) runs on any
+// portal. The pipeline picks the adapter from opts.adapter or from the
+// startUrl hostname.
+//
+// An adapter is a plain object:
+//   id, name                  - "livinginsider", "LivingInsider"
+//   hosts                     - hostnames it handles (subdomains match too)
+//   offlineBaseUrl            - page URL used when parsing saved HTML without a url
+//
+//   isDetailUrl(url)          - is this a listing detail page?
+//   listingIdFromUrl(url)     - listing id or null
+//   detailUrlFromId(id)       - detail URL for a bare listing id (optional, lets users paste ids)
+//
+//   searchSources()           - [{id, url, category, location, name, weight}] for runs without startUrl
+//   sourcePageUrls(src, max)  - page URLs to visit for one source (pagination)
+//   applyFilters(url, f)      - search URL with the normalized filters applied where the site supports them
+//
+//   collectDetailLinks(page)  - detail URLs on a loaded result page
+//   collectListCards(page)    - [{url, title, text, project, image}] (optional, needed for list_only)
+//   rowFromListCard(card)     - raw row from a card (optional, needed for list_only)
+//
+//   revealContact(page)       - click whatever hides the phone number (optional)
+//   parseDetail(page, url, o) - navigate + reveal + extract, returns a raw row
+//                               (call o.guard?.check(page, response, "detail") right after navigating)
+//   pageChecks                - {list, detail: [key selectors], empty: [no-results selectors],
+//                               notFound: [RegExp]} for block-page detection (see blockDetector.js)
+//   extractDetail(page, url, o) - extract from a page that is already loaded (offline parsing)
+//
+// Rows use SCHEMA_KEYS field names; the pipeline adds the scores and
+// column order (finalizeRow in scraper.js).
+//
+// ADDING A SITE:
+//   1. src/adapters/<site>.js exporting the object above
+//   2. add it to ADAPTERS below
+//
+// ============================================
+
+import livingInsider from "./livinginsider.js";
+
+const ADAPTERS = [livingInsider];
+
+const DEFAULT_ADAPTER = livingInsider;
+
+/**
+ * Find an adapter by id
+ * @param {string} id - Adapter id
+ * @returns {object} Adapter
+ */
+export function getAdapter(id) {
+  const key = String(id || "").trim().toLowerCase();
+  const adapter = ADAPTERS.find((a) => a.id === key);
+  if (!adapter) throw new Error(`Unknown site adapter "${id}" (use ${ADAPTERS.map((a) => a.id).join(", ")})`);
+  return adapter;
+}
+
+/**
+ * Find the adapter for a URL by hostname
+ * @param {string} url - Any URL on a supported site
+ * @returns {object} Adapter
+ */
+export function adapterForUrl(url) {
+  let host = "";
+  try { host = new URL(url).hostname.toLowerCase(); } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  const adapter = ADAPTERS.find((a) => a.hosts.some((h) => host === h || host.endsWith(`.${h}`)));
+  if (!adapter) throw new Error(`No site adapter for host ${host}`);
+  return adapter;
+}
+
+/**
+ * Pick the adapter for a run: explicit id, else startUrl host, else the default
+ * @param {object} options - {adapter, url}
+ * @returns {object} Adapter
+ */
+export function resolveAdapter({ adapter, url } = {}) {
+  if (adapter) return getAdapter(adapter);
+  if (url) return adapterForUrl(url);
+  return DEFAULT_ADAPTER;
+}
+
+/**
+ * Turn user-supplied detail URLs / bare listing ids into detail URLs
+ * (one per listing, in input order)
+ * @param {object} adapter - Site adapter
+ * @param {Array<string>} items - URLs or ids
+ * @returns {object} {urls, invalid: [items that are neither]}
+ */
+export function normalizeDetailTargets(adapter, items) {
+  const urls = [];
+  const invalid = [];
+  const seen = new Set();
+  for (const raw of items || []) {
+    const item = String(raw ?? "").trim().replace(/^["'<]+|["'>,;]+$/g, "");
+    if (!item) continue;
+    const url = /^\d+$/.test(item) && typeof adapter.detailUrlFromId === "function" ? adapter.detailUrlFromId(item) : item;
+    if (!adapter.isDetailUrl(url)) {
+      invalid.push(item);
+      continue;
+    }
+    const key = adapter.listingIdFromUrl(url) || url;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    urls.push(url);
+  }
+  return { urls, invalid };
+}
+
+/** [{id, name, hosts, listOnly}] for /api/health and the UI */
+export function listAdapters() {
+  return ADAPTERS.map((a) => ({
+    id: a.id,
+    name: a.name,
+    hosts: a.hosts,
+    listOnly: typeof a.collectListCards === "function" && typeof a.rowFromListCard === "function",
+  }));
+}
@@ -0,0 +1,924 @@
+// ============================================
+// 🏠 LIVINGINSIDER ADAPTER
+// ============================================
+//
+// Site adapter for www.livinginsider.com (see adapters/index.js for the
+// interface). Knows the search URL layout, where detail links live on
+// a result page, how to reveal the phone number and which selectors
+// fill each SCHEMA_KEYS column (src/selectors.js).
+//
+// ============================================
+
+import { loadDetailSelectors } from "../selectors.js";
+import { scrapeError, errorCode } from "../errors.js";
+import {
+  MAX_IMAGES,
+  sleep,
+  cleanText,
+  parseNumberLike,
+  absUrl,
+  thaiDateToISO,
+  injectPerfCSS,
+  robustGoto,
+  dismissOverlays,
+} from "../common.js";
+
+// ============================================
+// 🎯 SEARCH SOURCES CONFIGURATION
+// ============================================
+//
+// Defines categories and locations for multi-source scraping
+// Each combination creates a unique search URL
+//
+// ============================================
+
+const CATEGORIES = [
+  { id: "condo", name: "คอนโด", url_part: "คอนโด", weight: 1.2 },
+  { id: "house", name: "บ้านเดี่ยว", url_part: "บ้าน", weight: 1.0 },
+  { id: "townhouse", name: "ทาวน์เฮ้าส์", url_part: "ทาวน์เฮ้าส์", weight: 0.9 },
+  { id: "land", name: "ที่ดิน", url_part: "ที่ดิน", weight: 0.8 },
+  { id: "commercial", name: "อาคารพาณิชย์", url_part: "อาคารพาณิชย์", weight: 0.7 },
+];
+
+const LOCATIONS_BANGKOK = [
+  { id: "bangkok", name: "กรุงเทพมหานคร", weight: 1.3 },
+  { id: "nonthaburi", name: "นนทบุรี", weight: 1.0 },
+  { id: "pathumthani", name: "ปทุมธานี", weight: 0.9 },
+  { id: "samutprakan", name: "สมุทรปราการ", weight: 0.9 },
+  { id: "samutsakorn", name: "สมุทรสาคร", weight: 0.7 },
+];
+
+/**
+ * Generate all possible search URL combinations
+ * @returns {Array} Array of source objects
+ */
+function generateSearchURLs() {
+  const urls = [];
+  for (const cat of CATEGORIES) {
+    for (const loc of LOCATIONS_BANGKOK) {
+      const keyword = encodeURIComponent(`${cat.url_part} ${loc.name}`);
+      const url = `https://www.livinginsider.com/searchword/all/Buysell/1/${keyword}.html`;
+      urls.push({
+        id: `${cat.id}_${loc.id}`,
+        url,
+        category: cat.name,
+        location: loc.name,
+        name: `${cat.name} ใน ${loc.name}`,
+        weight: cat.weight * loc.weight, // Composite weight
+      });
+    }
+  }
+  return urls; // 5 categories × 5 locations = 25 sources
+}
+
+// ============================================
+// 📑 SEARCH PAGINATION
+// ============================================
+//
+// LivingInsider search URLs carry the page number in the path:
+//   /searchword/<category>/<dealType>/<page>/<slug>.html
+// e.g. /searchword/Condo/Buysell/2/รวมประกาศ-ขาย-คอนโด.html
+//
+// ============================================
+
+const SEARCH_PATH_RE = /^\/searchword\/([^/]+)\/([^/]+)\/(\d+)\/([^/]+)$/;
+
+/**
+ * Read the page number from a search URL
+ * @param {string} url - Search URL
+ * @returns {number|null} Page number, or null if the URL is not paginated
+ */
+function getSearchPageNumber(url) {
+  try {
+    const m = new URL(url).pathname.match(SEARCH_PATH_RE);
+    return m ? Number(m[3]) : null;
+  } catch { return null; }
+}
+
+/**
+ * Build the URL of another page of the same search
+ * @param {string} url - Search URL (any page)
+ * @param {number} pageNo - Target page number (1-based)
+ * @returns {string} URL of the target page (unchanged if not paginated)
+ */
+function withSearchPage(url, pageNo) {
+  try {
+    const u = new URL(url);
+    const m = u.pathname.match(SEARCH_PATH_RE);
+    if (!m) return url;
+    u.pathname = `/searchword/${m[1]}/${m[2]}/${pageNo}/${m[4]}`;
+    return u.toString();
+  } catch { return url; }
+}
+
+/**
+ * List the page URLs to visit for a source
+ * @param {object} source - Source object
+ * @param {number} maxPages - Max pages to visit
+ * @returns {Array<string>} Page URLs in visiting order
+ */
+function sourcePageUrls(source, maxPages) {
+  const first = getSearchPageNumber(source.url);
+  if (first === null) return [source.url]; // not a paginated search URL
+  const urls = [];
+  for (let i = 0; i < maxPages; i++) urls.push(withSearchPage(source.url, first + i));
+  return urls;
+}
+
+// ============================================
+// 🔎 SEARCH FILTERS (URL)
+// ============================================
+//
+// Deal type, category and keyword have their own path segments;
+// everything else is enforced on parsed rows by the pipeline.
+//
+// ============================================
+
+// Form deal type -> URL segment
+const DEAL_TYPE_SEGMENTS = {
+  "ขาย": "Buysell",
+  "เช่า": "Rent",
+  "ให้เช่า": "Rent",
+  "เซ้ง": "Longlease",
+};
+
+// Form category -> URL segment (โกดัง has no dedicated segment)
+const CATEGORY_SEGMENTS = {
+  "คอนโด": "Condo",
+  "บ้าน": "Home",
+  "ทาวน์โฮม": "Townhome",
+  "ที่ดิน": "Land",
+  "อพาร์ทเม้นต์": "apartment",
+  "สำนักงาน": "Officespace",
+  "โฮมออฟฟิศ": "Homeoffice",
+  "โรงงาน": "Factory",
+  "ร้านค้า": "Salesarea",
+  "โชว์รูม": "Showroom",
+};
+
+// The site's all-listings slug: "รวมประกาศ" + optional deal type + optional category,
+// e.g. รวมประกาศ.html, รวมประกาศขาย.html, รวมประกาศ-ขาย-คอนโด.html. Slugs with more in
+// them (price bands "...-ราคา-1000000-2000000-บาท", areas) are the user's own search.
+const GENERIC_SLUG_RE = new RegExp(
+  `^รวมประกาศ(?:-?(?:${Object.keys(DEAL_TYPE_SEGMENTS).join("|")}))?(?:-?(?:${Object.keys(CATEGORY_SEGMENTS).join("|")}))?$`
+);
+
+/**
+ * Apply filters to a search URL where the site supports them
+ * @param {string} url - Search URL
+ * @param {object} filters - Normalized filters
+ * @returns {string} Search URL with filter segments applied
+ */
+function applyFiltersToSearchUrl(url, filters) {
+  try {
+    const u = new URL(url);
+    const m = u.pathname.match(SEARCH_PATH_RE);
+    if (!m) return url;
+
+    let [, category, dealType, page, slug] = m;
+    if (DEAL_TYPE_SEGMENTS[filters.dealType]) dealType = DEAL_TYPE_SEGMENTS[filters.dealType];
+    if (CATEGORY_SEGMENTS[filters.category]) category = CATEGORY_SEGMENTS[filters.category];
+
+    // Only replace the generic all-listings slug; other slugs keep the keyword as a row filter
+    if (filters.keyword && GENERIC_SLUG_RE.test(decodeURIComponent(slug).replace(/\.html$/i, ""))) {
+      slug = `${encodeURIComponent(filters.keyword)}.html`;
+    }
+
+    u.pathname = `/searchword/${category}/${dealType}/${page}/${slug}`;
+    return u.toString();
+  } catch { return url; }
+}
+
+// ============================================
+// 🔗 DETAIL LINKS & LIST CARDS
+// ============================================
+
+function isLivingDetailUrl(u) {
+  try {
+    const x = new URL(u);
+    return x.hostname.includes("livinginsider.com") && 
+           x.pathname.startsWith("/livingdetail/") &&
+           /^\/livingdetail\/(\d{4,})\//.test(x.pathname);
+  } catch { return false; }
+}
+
+/** slug-less detail URL for a bare listing id ("2512345") */
+function detailUrlFromId(id) {
+  return `https://www.livinginsider.com/livingdetail/${encodeURIComponent(String(id).trim())}/`;
+}
+
+function listingIdFromUrl(url) {
+  try {
+    const m = new URL(url).pathname.match(/\/livingdetail\/(\d+)\//);
+    return m ? m[1] : null;
+  } catch { return null; }
+}
+
+async function collectDetailLinksFromList(page) {
+  const origin = new URL(page.url()).origin, out = new Set();
+  const hrefs = await page.$$eval("a[href]", (as) => as.map((a) => a.getAttribute("href") || "")).catch(() => []);
+  for (const h of hrefs) {
+    const u = h.startsWith("http") ? h : absUrl(origin, h);
+    if (u && isLivingDetailUrl(u)) out.add(u);
+  }
+  return [...out];
+}
+
+/**
+ * Read the search-result cards of a list page
+ * A card is the .istock-list block around a detail link, or failing that
+ * the largest ancestor that still links to only one listing.
+ * @param {Page} page - Playwright page on a search result page
+ * @returns {Promise<Array>} [{url, title, text, project, image}, ...]
+ */
+async function collectListCardsFromList(page) {
+  const origin = new URL(page.url()).origin;
+  const cards = await page.evaluate(() => {
+    const txt = (el) => (el?.textContent || "").replace(/\s+/g, " ").trim();
+    const hrefOf = (a) => a.getAttribute("href") || "";
+    const detailHrefs = (el) => new Set(
+      Array.from(el.querySelectorAll('a[href*="/livingdetail/"]')).map(hrefOf)
+    );
+
+    const out = [];
+    const seen = new Set();
+    for (const a of document.querySelectorAll('a[href*="/livingdetail/"]')) {
+      const href = hrefOf(a);
+      if (seen.has(href)) continue;
+      seen.add(href);
+
+      let card = a.closest(".istock-list");
+      if (!card) {
+        card = a;
+        for (let depth = 0; depth < 8 && card.parentElement; depth++) {
+          if (detailHrefs(card.parentElement).size > 1) break;
+          card = card.parentElement;
+        }
+      }
+
+      // the first detail link is often the image; the title is the first one with text
+      const titleEl = card.querySelector('[class*="title"], h2, h3, h4');
+      const titleLink = Array.from(card.querySelectorAll('a[href*="/livingdetail/"]')).find((l) => txt(l));
+      const projectEl = card.querySelector('a[href*="/project/"], [class*="project"], [class*="building"]');
+      const img = card.querySelector("img");
+      out.push({
+        href,
+        title: txt(titleEl) || a.getAttribute("title") || txt(titleLink),
+        text: txt(card),
+        project: txt(projectEl),
+        image: img ? (img.getAttribute("data-src") || img.getAttribute("src") || "") : "",
+      });
+    }
+    return out;
+  }).catch(() => []);
+
+  return cards
+    .map(({ href, ...card }) => ({ ...card, url: href.startsWith("http") ? href : absUrl(origin, href) }))
+    .filter((card) => card.url && isLivingDetailUrl(card.url));
+}
+
+/**
+ * Build a row from a search-result card (list_only mode)
+ * @param {object} card - Card from collectListCardsFromList
+ * @returns {object} Raw row; detail-only columns stay unset
+ */
+function rowFromListCard(card) {
+  const text = cleanText(card.text);
+  const title = cleanText(card.title);
+
+  const priceMatch = text.match(/฿\s*[\d,]+(?:\.\d+)?/) || text.match(/[\d,]{4,}\s*บาท/);
+  const price_text = priceMatch ? cleanText(priceMatch[0]) : "";
+  const areaMatch = text.match(/(\d+(?:[.,]\d+)?)\s*(?:ตร\.ม\.|ตรม\.?|sq\.?\s*m)/i);
+  const bedMatch = text.match(/(\d+)\s*(?:ห้องนอน|นอน)/);
+  const bathMatch = text.match(/(\d+)\s*(?:ห้องน้ำ|น้ำ)/);
+
+  let deal_type = "";
+  if (/^ขาย/.test(title)) deal_type = "ขาย";
+  else if (/^(ให้)?เช่า/.test(title)) deal_type = "เช่า";
+
+  let category = "";
+  if (text.includes("คอนโด")) category = "คอนโด";
+  else if (text.includes("บ้านเดี่ยว")) category = "บ้านเดี่ยว";
+  else if (text.includes("ทาวน์")) category = "ทาวน์เฮ้าส์";
+  else if (text.includes("ที่ดิน")) category = "ที่ดิน";
+  else if (text.includes("อาคาร") || text.includes("ตึก")) category = "อาคารพาณิชย์";
+
+  const image = card.image ? absUrl(card.url, card.image) : "";
+  const row = {
+    listing_id: listingIdFromUrl(card.url),
+    listing_url: card.url,
+    category,
+    deal_type,
+    project_name: cleanText(card.project) || null,
+    listing_title: title,
+    price_text,
+    price_value: parseNumberLike(price_text),
+    usable_area_sqm: areaMatch ? Number(areaMatch[1].replace(/,/g, "")) : null,
+    bedrooms: bedMatch ? Number(bedMatch[1]) : null,
+    bathrooms: bathMatch ? Number(bathMatch[1]) : null,
+    images: image,
+    cover_image: image || null,
+    detail_snippet: text.slice(0, 180),
+    facility_count: 0,
+  };
+
+  return row;
+}
+
+/**
+ * Open the phone modal so the number is in the DOM before extraction
+ * @param {Page} page - Detail page
+ * @returns {Promise<boolean>} True if a contact button was clicked
+ */
+async function clickContactButtons(page) {
+  // ✅ โฟกัสเฉพาะปุ่มโทรศัพท์ LivingInsider ตาม HTML ที่คุณเจอ
+  const phoneBtnSelectors = [
+    // div ปุ่มเขียวที่มีไอคอน tel
+    'div.ownCont-active.ch-lightgreen:has(img[alt="tel"])',
+    'div.ownCont-active:has(img[alt="tel"])',
+    'div.ch-lightgreen:has(img[alt="tel"])',
+    'img[alt="tel"]',
+  ];
+
+  // 1) พยายามคลิกปุ่มโทรศัพท์
+  for (const sel of phoneBtnSelectors) {
+    try {
+      const loc = page.locator(sel).first();
+      if ((await loc.count()) > 0) {
+        await loc.scrollIntoViewIfNeeded().catch(() => {});
+        await loc.click({ timeout: 3000 }).catch(() => {});
+        // 2) รอเบอร์ใน modal โผล่
+        await page.waitForSelector("#phone_number_modal_show", { timeout: 8000 }).catch(() => {});
+        return true;
+      }
+    } catch {}
+  }
+
+  // fallback: ถ้าหาปุ่มแบบข้างบนไม่เจอ ลองคลิก text "ดูเบอร์" เผื่อมี
+  try {
+    const t = page.locator('text=ดูเบอร์').first();
+    if ((await t.count()) > 0) {
+      await t.click({ timeout: 3000 }).catch(() => {});
+      await page.waitForSelector("#phone_number_modal_show", { timeout: 8000 }).catch(() => {});
+      return true;
+    }
+  } catch {}
+
+  return false;
+}
+
+// ============================================
+// 🔍 BROWSER-SIDE EXTRACTION
+// ============================================
+// This runs inside the browser for best performance (page.evaluate),
+// so it must stay self-contained: no references to module scope.
+// Selectors come from src/selectors.js, passed in as an argument.
+// ============================================
+
+function extractDetailData({ selectors = {}, provenance = false } = {}) {
+  // === Helper Functions ===
+  const txt = (el) => (el?.textContent || "").replace(/\s+/g, " ").trim();
+  const pageText = txt(document.body);
+  const prov = {};
+
+  const isJunkImage = (src) => {
+    if (!src) return true;
+    const lower = src.toLowerCase();
+    return lower.includes('logo') || lower.includes('flag_') || 
+           lower.includes('no-user') || lower.includes('ic_bts') ||
+           lower.includes('ic_mrt') || lower.includes('/assets') ||
+           lower.includes('/station') || src.length < 20;
+  };
+
+  // === Selector engine ===
+  const describe = (s) => s.regex
+    ? `regex:${s.regex}`
+    : `css:${s.scope ? `${s.scope} >> ` : ""}${s.css}${s.attr ? `@${[].concat(s.attr).join("|")}` : ""}`;
+
+  const rootOf = (s) => (s.scope ? document.querySelector(s.scope) : document);
+
+  const readEl = (el, s) => {
+    if (s.attr) {
+      for (const a of [].concat(s.attr)) {
+        const v = el.getAttribute(a);
+        if (v) return v;
+      }
+      return "";
+    }
+    if (s.exclude) {
+      const clone = el.cloneNode(true);
+      clone.querySelectorAll(s.exclude).forEach((x) => x.remove());
+      return txt(clone);
+    }
+    return txt(el);
+  };
+
+  const accepts = (t, s) => {
+    if (s.minLength && t.length < s.minLength) return false;
+    if (s.maxLength && t.length > s.maxLength) return false;
+    if (s.match && !new RegExp(s.match, s.flags || "").test(t)) return false;
+    return true;
+  };
+
+  /** one strategy -> string (or null) */
+  const readOne = (s) => {
+    if (s.regex) {
+      const m = pageText.match(new RegExp(s.regex, s.flags || ""));
+      return m ? m[s.group ?? 1] ?? null : null;
+    }
+    const root = rootOf(s);
+    if (!root) return null;
+
+    if (s.index !== undefined) {
+      const texts = Array.from(root.querySelectorAll(s.css)).map((el) => readEl(el, s)).filter((t) => t && accepts(t, s));
+      if (texts.length < (s.minItems || 1)) return null;
+      return texts[s.index < 0 ? texts.length + s.index : s.index] ?? null;
+    }
+    if (s.all) {
+      for (const el of root.querySelectorAll(s.css)) {
+        const t = readEl(el, s);
+        if (t && accepts(t, s)) return t;
+      }
+      return null;
+    }
+    const el = root.querySelector(s.css);
+    if (!el) return null;
+    const t = readEl(el, s);
+    return accepts(t, s) ? t : null;
+  };
+
+  /** one strategy -> every matching string */
+  const readList = (s) => {
+    const root = rootOf(s);
+    if (!root || !s.css) return [];
+    return Array.from(root.querySelectorAll(s.css)).map((el) => readEl(el, s)).filter((t) => t && accepts(t, s));
+  };
+
+  /**
+   * Try a field's strategies in order, first non-empty value wins
+   * @param {string} field - Registry field
+   * @param {Function} read - strategy -> value
+   */
+  const resolve = (field, read = readOne) => {
+    for (const s of selectors[field] || []) {
+      let v = null;
+      try { v = read(s); } catch { v = null; }
+      if (v !== null && v !== undefined && v !== "" && !(Array.isArray(v) && v.length === 0)) {
+        prov[field] = describe(s);
+        return v;
+      }
+    }
+    return null;
+  };
+
+  const num = (v) => (v === null || v === undefined ? null : Number(String(v).replace(/,/g, "")));
+
+  // === EXTRACT TITLE ===
+  const getTitle = () => resolve("listing_title") || "";
+
+  // === EXTRACT PROJECT NAME ===
+  // Breadcrumb: [Home] > [Location] > [Project] > [Listing], project = index -2
+  const getProjectName = () => resolve("project_name");
+
+  // === EXTRACT BADGES (Category & Deal Type) ===
+  const getBadges = () => {
+    const badges = resolve("badges", readList) || [];
+    let category = "", deal_type = "";
+    
+    for (const b of badges) {
+      const lower = b.toLowerCase();
+      if (!deal_type) {
+        if (b === "ขาย") deal_type = "ขาย";
+        else if (b === "เช่า" || b === "ให้เช่า") deal_type = "เช่า";
+      }
+      if (!category) {
+        if (lower.includes("คอนโด")) category = "คอนโด";
+        else if (lower.includes("บ้านเดี่ยว")) category = "บ้านเดี่ยว";
+        else if (lower.includes("ทาวน์")) category = "ทาวน์เฮ้าส์";
+        else if (lower.includes("ที่ดิน")) category = "ที่ดิน";
+        else if (lower.includes("อาคาร") || lower.includes("ตึก")) category = "อาคารพาณิชย์";
+      }
+    }
+    if (prov.badges) {
+      if (category) prov.category = prov.badges;
+      if (deal_type) prov.deal_type = prov.badges;
+    }
+    
+    // Fallback: search in body text
+    if (!category) {
+      const bodyLower = pageText.toLowerCase();
+      if (bodyLower.includes("คอนโด")) category = "คอนโด";
+      else if (bodyLower.includes("บ้านเดี่ยว")) category = "บ้านเดี่ยว";
+      if (category) prov.category = "text:body";
+    }
+    
+    return { category, deal_type };
+  };
+
+  // === EXTRACT PRICE INFO ===
+  const getPriceInfo = () => ({
+    price_text: resolve("price_text") || "",
+    old_price_text: resolve("old_price_text") || "",
+    price_psm_text: resolve("price_psm") || "",
+  });
+
+  // === EXTRACT PROPERTY DETAILS ===
+  const getPropertyDetails = () => ({
+    bedrooms: num(resolve("bedrooms")),
+    bathrooms: num(resolve("bathrooms")),
+    usable_area_sqm: num(resolve("usable_area_sqm")),
+    floor: resolve("floor"),
+    parking: num(resolve("parking")),
+  });
+
+  // === EXTRACT STATS ===
+  const getStats = () => ({
+    views: num(resolve("views")),
+    clicks: num(resolve("clicks")),
+  });
+
+  // === EXTRACT AGENT INFO ===
+  const getAgentInfo = () => ({
+    agent_name: resolve("agent_name") || "",
+    agent_verified: Boolean(resolve("agent_verified")),
+  });
+
+  // === EXTRACT CONTACT INFO ===
+  const getContacts = () => {
+    // modal -> span hideTel_* -> page text; keep digits only
+    const phone = (resolve("contact_phone") || "").replace(/[\s-]/g, "");
+    const email = (resolve("contact_email") || "").replace(/^mailto:/i, "").trim();
+    const line_url = resolve("contact_line_url") || "";
+    const lineId = resolve("contact_line_id");
+    const line_id = lineId ? "@" + lineId.replace(/^@/, "") : "";
+    const fb_url = resolve("contact_facebook_url") || "";
+
+    return { phone, email, line_url, fb_url, line_id };
+  };
+
+  // === EXTRACT IMAGES ===
+  const getImages = () => {
+    const imgs = resolve("images", (s) => readList(s)
+      .filter(src => !isJunkImage(src))
+      .filter(src => src.includes('/upload') || src.includes('cloudfront') || src.length > 50)) || [];
+    return { imgs };
+  };
+
+  // === EXTRACT LOCATION ===
+  const getLocation = () => {
+    const location_text = resolve("location_text") || "";
+    if (prov.location_text) prov.province = prov.location_text;
+    return { location_text, province: location_text, breadcrumb: resolve("breadcrumb", readList) || [] };
+  };
+
+  // === EXTRACT DESCRIPTION ===
+  const getDescription = () => ({ description: (resolve("description_text") || "").slice(0, 2000) });
+
+  // === EXTRACT DATES ===
+  const getDates = () => ({
+    created: resolve("created_at_iso") || "",
+    bumped: resolve("bumped_at_iso") || "",
+  });
+
+  // ===================================
+  // 🆕 EXTRACT NEARBY PLACES
+  // ===================================
+  const getNearbyPlaces = () => {
+    const bts = [], hospitals = [], universities = [], malls = [];
+
+    const all = resolve("nearby_all_json", (s) => {
+      const places = [];
+      document.querySelectorAll(s.css).forEach(item => {
+        const name = txt(item.querySelector(s.name));
+        const distText = txt(item.querySelector(s.distance));
+        const distance = parseFloat(distText.replace(/[^\d.]/g, ''));
+        
+        const lat = item.getAttribute('data-lat');
+        const lng = item.getAttribute('data-lng');
+        const map = item.getAttribute('data-map');
+
+        if (!name || !distance) return;
+
+        places.push({
+          name: name.trim(),
+          distance_km: distance,
+          lat: lat ? parseFloat(lat) : null,
+          lng: lng ? parseFloat(lng) : null,
+          type: map,
+        });
+      });
+      return places;
+    }) || [];
+
+    all.forEach(({ type: map, ...place }) => {
+      const name = place.name;
+
+      // Categorize
+      if (map === 'living_transit' || name.includes('BTS') || name.includes('MRT')) {
+        bts.push(place);
+      } else if (map === 'living_hospital' || name.includes('โรงพยาบาล')) {
+        hospitals.push(place);
+      } else if (map === 'living_academy' || name.includes('มหาวิทยาลัย') || name.includes('วิทยาลัย')) {
+        universities.push(place);
+      } else if (map === 'living_mall') {
+        malls.push(place);
+      }
+    });
+
+    // Sort by distance
+    const sortByDist = (a, b) => a.distance_km - b.distance_km;
+    bts.sort(sortByDist);
+    hospitals.sort(sortByDist);
+    universities.sort(sortByDist);
+    malls.sort(sortByDist);
+    all.sort(sortByDist);
+
+    return {
+      bts_json: JSON.stringify(bts),
+      hospitals_json: JSON.stringify(hospitals),
+      universities_json: JSON.stringify(universities),
+      malls_json: JSON.stringify(malls),
+      all_json: JSON.stringify(all.slice(0, 20)), // top 20
+      
+      // Nearest for quick access
+      nearest_bts: bts.length ? bts[0].name : null,
+      nearest_bts_dist: bts.length ? bts[0].distance_km : null,
+      nearest_hospital: hospitals.length ? hospitals[0].name : null,
+      nearest_hospital_dist: hospitals.length ? hospitals[0].distance_km : null,
+      nearest_mall: malls.length ? malls[0].name : null,
+      nearest_mall_dist: malls.length ? malls[0].distance_km : null,
+    };
+  };
+
+  // ===================================
+  // 🆕 EXTRACT FACILITIES
+  // ===================================
+  const getFacilities = () => {
+    const tags = {
+      has_pool: false,
+      has_gym: false,
+      has_parking: false,
+      has_security: false,
+      has_garden: false,
+      has_sauna: false,
+      has_ev_charger: false,
+      has_sky_pool: false,
+      has_foreigner_quota: false,
+      is_luxury: false,
+      has_private_lift: false,
+    };
+
+    const facilities = resolve("facilities_json", (s) => Array.from(document.querySelectorAll(s.css))
+      .map(item => txt(item.querySelector(s.name)))
+      .filter(name => name && name.length < 50)) || [];
+
+    facilities.forEach(name => {
+      // Auto-detect facility types
+      const lower = name.toLowerCase();
+      if (lower.includes('สระ')) tags.has_pool = true;
+      if (lower.includes('ฟิตเนส') || lower.includes('ยิม') || lower.includes('gym')) tags.has_gym = true;
+      if (lower.includes('จอดรถ')) tags.has_parking = true;
+      if (lower.includes('รักษาความปลอดภัย') || lower.includes('security')) tags.has_security = true;
+      if (lower.includes('สวน') || lower.includes('garden')) tags.has_garden = true;
+      if (lower.includes('ซาวน่า') || lower.includes('sauna')) tags.has_sauna = true;
+      if (lower.includes('ev charger')) tags.has_ev_charger = true;
+      if (lower.includes('สระน้ำลอยฟ้า') || lower.includes('sky pool')) tags.has_sky_pool = true;
+      if (lower.includes('โควต้าต่างชาติ') || lower.includes('foreigner')) tags.has_foreigner_quota = true;
+      if (lower.includes('luxury')) tags.is_luxury = true;
+      if (lower.includes('ลิฟต์ส่วนตัว') || lower.includes('private lift')) tags.has_private_lift = true;
+    });
+
+    return {
+      facilities_json: JSON.stringify(facilities),
+      facility_count: facilities.length,
+      ...tags,
+    };
+  };
+
+  // === RETURN ALL EXTRACTED DATA ===
+  const data = {
+    title: getTitle(),
+    project_name: getProjectName(),
+    ...getBadges(),
+    ...getPriceInfo(),
+    ...getPropertyDetails(),
+    ...getStats(),
+    ...getAgentInfo(),
+    ...getContacts(),
+    ...getImages(),
+    ...getLocation(),
+    ...getDescription(),
+    ...getDates(),
+    ...getNearbyPlaces(),
+    ...getFacilities(),
+  };
+  if (provenance) data._provenance = prov;
+  return data;
+}
+
+/**
+ * Run extractDetailData on a loaded detail page
+ * @param {Page} page - Page with the listing loaded
+ * @param {object} options - {provenance: add data._provenance}
+ * @returns {Promise<object>} Raw extracted data
+ */
+async function extractFromPage(page, { provenance = false } = {}) {
+  const data = await Promise.race([
+    page.evaluate(extractDetailData, { selectors: loadDetailSelectors(), provenance }),
+    sleep(30000).then(() => { throw scrapeError("EVAL_TIMEOUT", "evaluate timeout"); })
+  ]).catch((e) => {
+    const code = errorCode(e);
+    if (code === "EVAL_TIMEOUT" || code === "BROWSER_CRASH") throw e;
+    return null;
+  });
+
+  if (!data) throw scrapeError("PARSE_EMPTY", "Failed to extract data");
+  return data;
+}
+
+// ============================================
+// 🔧 SERVER-SIDE DATA NORMALIZATION
+// ============================================
+
+/**
+ * Turn raw extracted data into a row with SCHEMA_KEYS fields
+ * (scores and column order are added by the pipeline, see finalizeRow)
+ * @param {object} data - Output of extractDetailData
+ * @param {string|null} url - Listing URL (used for listing_id and image URLs)
+ * @returns {object} Raw row
+ */
+function buildDetailRow(data, url) {
+  const listing_title = cleanText(data.title || "");
+  const price_text = cleanText(data.price_text || "");
+  const price_value = parseNumberLike(price_text);
+  const price_psm = parseNumberLike(data.price_psm_text || "");
+  
+  const listing_id = listingIdFromUrl(url);
+
+  const breadcrumb = Array.isArray(data.breadcrumb) ? data.breadcrumb : [];
+  const rawImgs = Array.isArray(data.imgs) ? data.imgs : [];
+  const imagesAbs = rawImgs.map(x => absUrl(url, x)).filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).slice(0, MAX_IMAGES);
+
+  // ============================================
+  // 🏗️ BUILD ROW OBJECT
+  // ============================================
+
+  const row = {
+    // Basic Info
+    listing_id, 
+    listing_url: url,
+    category: cleanText(data.category || ""), 
+    deal_type: cleanText(data.deal_type || ""),
+    project_name: data.project_name || null,
+    listing_title, 
+    price_text, 
+    price_value, 
+    price_psm,
+    old_price_text: cleanText(data.old_price_text || "") || null,
+    discount_percent: null,
+    usable_area_sqm: data.usable_area_sqm, 
+    floor: data.floor,
+    bedrooms: data.bedrooms, 
+    bathrooms: data.bathrooms, 
+    parking: data.parking,
+    furnishing: null, 
+    direction: null,
+    created_at_iso: thaiDateToISO(data.created || ""), 
+    bumped_at_iso: thaiDateToISO(data.bumped || ""),
+    
+    // Location
+    location_text: cleanText(data.location_text || ""), 
+    province: cleanText(data.province || ""),
+    district: null,
+    
+    // Nearby Places (JSON)
+    nearby_bts_json: data.bts_json || null,
+    nearby_hospitals_json: data.hospitals_json || null,
+    nearby_universities_json: data.universities_json || null,
+    nearby_malls_json: data.malls_json || null,
+    nearby_all_json: data.all_json || null,
+    
+    // Nearest (quick access)
+    nearest_bts_name: data.nearest_bts || null,
+    nearest_bts_distance_km: data.nearest_bts_dist || null,
+    nearest_hospital_name: data.nearest_hospital || null,
+    nearest_hospital_distance_km: data.nearest_hospital_dist || null,
+    nearest_mall_name: data.nearest_mall || null,
+    nearest_mall_distance_km: data.nearest_mall_dist || null,
+    
+    // Map
+    map_url: null, 
+    lat: null, 
+    lng: null,
+    
+    // Agent
+    agent_name: cleanText(data.agent_name || ""), 
+    agent_url: null, 
+    agent_verified: Boolean(data.agent_verified),
+    agent_rating: null,
+    
+    // Stats
+    clicks: data.clicks, 
+    views: data.views, 
+    favorites: null,
+    
+    // Contact
+    contact_phone: data.phone ? cleanText(data.phone) : null,
+    contact_email: data.email ? cleanText(data.email) : null,
+    contact_line_url: data.line_url ? cleanText(data.line_url) : null,
+    contact_line_id: data.line_id ? cleanText(data.line_id) : null,
+    contact_facebook_url: data.fb_url ? cleanText(data.fb_url) : null,
+    contact_buttons: null,
+    
+    // Content
+    description_text: cleanText(data.description || "").slice(0, 1500),
+    highlights: null,
+    detail_snippet: cleanText(data.description || "").slice(0, 180),
+    
+    // Images
+    images: imagesAbs.join(" | "),
+    cover_image: imagesAbs.length ? imagesAbs[0] : null,
+    
+    // Facilities
+    facilities_json: data.facilities_json || null,
+    facility_count: data.facility_count || 0,
+    has_pool: data.has_pool || false,
+    has_gym: data.has_gym || false,
+    has_parking: data.has_parking || false,
+    has_security: data.has_security || false,
+    has_garden: data.has_garden || false,
+    has_sauna: data.has_sauna || false,
+    has_ev_charger: data.has_ev_charger || false,
+    has_sky_pool: data.has_sky_pool || false,
+    has_foreigner_quota: data.has_foreigner_quota || false,
+    is_luxury: data.is_luxury || false,
+    has_private_lift: data.has_private_lift || false,
+  };
+
+  // Which selector produced each field (opts.provenance)
+  if (data._provenance) row._provenance = data._provenance;
+
+  return row;
+}
+
+/**
+ * Extract a row from a detail page that is already loaded
+ * @param {Page} page - Page with the listing loaded
+ * @param {string|null} url - Listing URL
+ * @param {object} parseOpts - {provenance}
+ * @returns {Promise<object>} Raw row
+ */
+async function extractDetail(page, url, parseOpts = {}) {
+  const data = await extractFromPage(page, parseOpts);
+  return buildDetailRow(data, url);
+}
+
+async function parseDetail(page, url, parseOpts = {}) {
+  const res = await robustGoto(page, url, { retries: 2, limiter: parseOpts.limiter, signal: parseOpts.signal });
+  await parseOpts.guard?.check(page, res, "detail");
+  await page.waitForTimeout(300);
+  await injectPerfCSS(page);
+  await dismissOverlays(page);
+  try {
+  await clickContactButtons(page);
+  await page.waitForTimeout(600);
+} catch {}
+
+  return extractDetail(page, url, parseOpts);
+}
+
+// ============================================
+// 🔌 ADAPTER
+// ============================================
+
+export default {
+  id: "livinginsider",
+  name: "LivingInsider",
+  hosts: ["livinginsider.com"],
+  offlineBaseUrl: "https://www.livinginsider.com/",
+
+  isDetailUrl: isLivingDetailUrl,
+  listingIdFromUrl,
+  detailUrlFromId,
+
+  searchSources: generateSearchURLs,
+  sourcePageUrls,
+  applyFilters: applyFiltersToSearchUrl,
+
+  collectDetailLinks: collectDetailLinksFromList,
+  collectListCards: collectListCardsFromList,
+  rowFromListCard,
+
+  revealContact: clickContactButtons,
+  parseDetail,
+  pageChecks: {
+    // only markup seen on real pages (debug/ snapshots, detail selectors in selectors.js)
+    list: ["a[href*='/livingdetail/']"],
+    detail: ["h1.show-title", 'nav[aria-label="breadcrumb"] a', ".breadcrumb a"],
+    empty: [".box-img-null-data-search", ".text-title-not-data-search"],
+    notFound: [/ไม่พบประกาศ/, /ประกาศนี้ถูกลบ/],
+  },
+  extractDetail,
+};
+
+export { isLivingDetailUrl, listingIdFromUrl };
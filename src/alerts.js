@@ -0,0 +1,233 @@
+// ============================================
+// 🔔 SAVED SEARCHES & ALERTS
+// ============================================
+//
+// A saved search is a normalized opts payload (start URL + filters, the
+// shape server.js normalizeOpts produces) plus alert rules. Jobs started
+// from a saved search evaluate every rule against each row as
+// scrapeListings produces it; matching rows become alerts.
+//
+// Rule:
+//   {
+//     name: "New condo under 3M near BTS",
+//     listing: "new",               // any | new | changed | new_or_changed (needs a listing index)
+//     conditions: [                 // all must hold
+//       { field: "category", op: "contains", value: "คอนโด" },
+//       { field: "price_value", op: "<", value: 3000000 },
+//       { field: "nearest_bts_distance_km", op: "<=", value: 0.5 },
+//     ],
+//   }
+//
+// Fields: any SCHEMA_KEYS column, plus
+//   listing_status  - new | changed | unchanged (from the listing index)
+//   price_drop_pct  - % the price fell since the previous run (negative = rose)
+// Ops: < <= > >= = != contains not_contains exists not_exists
+// ("contains" on text is case-insensitive; on anomaly_flags it checks one flag)
+//
+// Store interface (createAlertStore):
+//   listSearches() / getSearch(id)
+//   createSearch({name, opts, rules}) / updateSearch(id, patch) / removeSearch(id)   (async)
+//   addAlerts(alerts)                            - store matches (async)
+//   listAlerts({searchId, unread, limit})        - newest first (sync)
+//   markRead(ids | "all")                        - (async)
+//   unreadCount()                                - (sync)
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+const VERSION = 1;
+const MAX_ALERTS = 2000; // oldest alerts dropped beyond this
+const MAX_RULES = 20;
+
+export const RULE_OPS = ["<", "<=", ">", ">=", "=", "!=", "contains", "not_contains", "exists", "not_exists"];
+export const LISTING_STATES = ["any", "new", "changed", "new_or_changed"];
+const DERIVED_FIELDS = ["listing_status", "price_drop_pct"];
+
+/**
+ * Validate and normalize alert rules
+ * @param {Array} rules - Rules from the API
+ * @param {Array<string>} fields - Allowed row fields (SCHEMA_KEYS)
+ * @returns {Array} Normalized rules (each with an id)
+ */
+export function normalizeRules(rules, fields) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) throw new Error("rules must be an array");
+  if (rules.length > MAX_RULES) throw new Error(`at most ${MAX_RULES} rules per search`);
+
+  const allowed = new Set([...fields, ...DERIVED_FIELDS]);
+  return rules.map((r, i) => {
+    const listing = String(r?.listing || "any").trim();
+    if (!LISTING_STATES.includes(listing)) throw new Error(`rule ${i + 1}: listing must be one of ${LISTING_STATES.join(", ")}`);
+
+    const conditions = (Array.isArray(r?.conditions) ? r.conditions : []).map((c, j) => {
+      const field = String(c?.field || "").trim();
+      const op = String(c?.op || "").trim();
+      if (!allowed.has(field)) throw new Error(`rule ${i + 1} condition ${j + 1}: unknown field "${field}"`);
+      if (!RULE_OPS.includes(op)) throw new Error(`rule ${i + 1} condition ${j + 1}: op must be one of ${RULE_OPS.join(" ")}`);
+      if (/^[<>]=?$/.test(op) && !Number.isFinite(Number(c.value))) {
+        throw new Error(`rule ${i + 1} condition ${j + 1}: ${op} needs a number`);
+      }
+      return { field, op, value: c.value ?? null };
+    });
+    if (!conditions.length && listing === "any") throw new Error(`rule ${i + 1}: needs conditions or a listing state`);
+
+    return { id: r?.id || uuidv4(), name: String(r?.name || "").trim() || `rule ${i + 1}`, listing, conditions };
+  });
+}
+
+const toNumber = (v) => {
+  if (typeof v === "number") return v;
+  const n = Number(String(v ?? "").replace(/[, ]/g, ""));
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? null : n;
+};
+
+function conditionHolds({ field, op, value }, v) {
+  if (op === "exists") return v !== null && v !== undefined && v !== "";
+  if (op === "not_exists") return v === null || v === undefined || v === "";
+
+  if (/^[<>]=?$/.test(op)) {
+    const a = toNumber(v);
+    const b = Number(value);
+    if (a === null) return false;
+    return op === "<" ? a < b : op === "<=" ? a <= b : op === ">" ? a > b : a >= b;
+  }
+
+  if (op === "contains" || op === "not_contains") {
+    const needle = String(value ?? "").toLowerCase();
+    const found = field === "anomaly_flags"
+      ? String(v ?? "").toLowerCase().split(/[,|]/).map((s) => s.trim()).includes(needle)
+      : String(v ?? "").toLowerCase().includes(needle);
+    return op === "contains" ? found : !found;
+  }
+
+  const a = toNumber(v);
+  const b = toNumber(value);
+  const equal = a !== null && b !== null ? a === b : String(v ?? "") === String(value ?? "");
+  return op === "=" ? equal : !equal;
+}
+
+/**
+ * Rules a row matches
+ * @param {Array} rules - Normalized rules
+ * @param {object} row - Finished row
+ * @param {object|null} change - {status, previous_price_value} from the listing index
+ * @returns {Array} Matching rules
+ */
+export function matchRules(rules, row, change = null) {
+  const status = change?.status || null;
+  const prev = change?.previous_price_value;
+  const dropPct = typeof prev === "number" && prev > 0 && typeof row.price_value === "number"
+    ? Math.round(((prev - row.price_value) / prev) * 10000) / 100
+    : null;
+  const values = { ...row, listing_status: status, price_drop_pct: dropPct };
+
+  return rules.filter((rule) => {
+    if (rule.listing === "new" && status !== "new") return false;
+    if (rule.listing === "changed" && status !== "changed") return false;
+    if (rule.listing === "new_or_changed" && status !== "new" && status !== "changed") return false;
+    return rule.conditions.every((c) => conditionHolds(c, values[c.field]));
+  });
+}
+
+/**
+ * Create the saved search / alert store
+ * @param {object} options - {file: JSON path or null for memory}
+ * @returns {object} Store (see interface above)
+ */
+export function createAlertStore({ file = null } = {}) {
+  let data = { version: VERSION, searches: [], alerts: [] };
+  let pending = Promise.resolve();
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      if (fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (parsed?.version === VERSION && Array.isArray(parsed.searches) && Array.isArray(parsed.alerts)) data = parsed;
+      }
+    } catch (e) {
+      console.error(`[alerts] Cannot read ${path.basename(file)}: ${e.message}`);
+    }
+  }
+
+  /** write everything (temp + rename), one write at a time */
+  const flush = () => {
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify(data);
+    pending = pending.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    }).catch((e) => {
+      console.error(`[alerts] Cannot write ${path.basename(file)}: ${e.message}`);
+    });
+    return pending;
+  };
+
+  const findSearch = (id) => data.searches.find((s) => s.id === id) || null;
+
+  return {
+    driver: file ? "file" : "memory",
+
+    listSearches() {
+      return data.searches;
+    },
+
+    getSearch(id) {
+      return findSearch(id);
+    },
+
+    async createSearch({ name, opts, rules }) {
+      const now = new Date().toISOString();
+      const s = { id: uuidv4(), name: String(name || "").trim() || opts?.startUrl || "search", opts, rules, createdAt: now, updatedAt: now, lastJobId: null };
+      data.searches.push(s);
+      await flush();
+      return s;
+    },
+
+    async updateSearch(id, patch) {
+      const s = findSearch(id);
+      if (!s) return null;
+      for (const k of ["name", "opts", "rules", "lastJobId"]) if (patch[k] !== undefined) s[k] = patch[k];
+      s.updatedAt = new Date().toISOString();
+      await flush();
+      return s;
+    },
+
+    async removeSearch(id) {
+      const before = data.searches.length;
+      data.searches = data.searches.filter((s) => s.id !== id);
+      if (data.searches.length === before) return false;
+      await flush();
+      return true;
+    },
+
+    addAlerts(alerts) {
+      if (!alerts.length) return Promise.resolve();
+      data.alerts.push(...alerts);
+      if (data.alerts.length > MAX_ALERTS) data.alerts.splice(0, data.alerts.length - MAX_ALERTS);
+      return flush();
+    },
+
+    listAlerts({ searchId = null, unread = false, limit = 100 } = {}) {
+      return data.alerts
+        .filter((a) => (!searchId || a.searchId === searchId) && (!unread || !a.readAt))
+        .slice(-limit)
+        .reverse();
+    },
+
+    markRead(ids) {
+      const now = new Date().toISOString();
+      const wanted = ids === "all" ? null : new Set(ids);
+      for (const a of data.alerts) if (!a.readAt && (!wanted || wanted.has(a.id))) a.readAt = now;
+      return flush();
+    },
+
+    unreadCount() {
+      return data.alerts.filter((a) => !a.readAt).length;
+    },
+  };
+}
@@ -0,0 +1,144 @@
+// ============================================
+// 🎰 SOURCE SELECTION (MULTI-ARMED BANDIT)
+// ============================================
+//
+// Each search source is an arm. After a run, every visited source gets
+// a reward in [0, 1]:
+//   reward = 0.5 * min(newLinks / REWARD_LINKS_TARGET, 1) + 0.5 * avgQuality
+// where newLinks are the unique links it added and avgQuality is the
+// mean quality_score / 100 of the rows it actually produced. A source
+// whose links were all sampled away has no quality yet, so its reward
+// is the link part alone.
+//
+// Strategies:
+//   ucb1            - mean + sqrt(2 ln N / n), unplayed arms first
+//   thompson        - sample Beta(1 + rewards, 1 + pulls - rewards)
+//   weighted_random - the original behaviour (source weight × random,
+//                     then score + 20% noise once there is history)
+//
+// Arm statistics live in AILearningEngine.sourcePerformance
+// ({pulls, rewardSum, ...}) and are persisted by learningStore.js.
+//
+// ============================================
+
+export const SOURCE_STRATEGIES = ["ucb1", "thompson", "weighted_random"];
+
+export const DEFAULT_SOURCE_STRATEGY = SOURCE_STRATEGIES.includes(process.env.SCRAPE_SOURCE_STRATEGY)
+  ? process.env.SCRAPE_SOURCE_STRATEGY
+  : "ucb1";
+
+const REWARD_LINKS_TARGET = 15; // new links that count as a full link reward
+
+/**
+ * Pick a known strategy, falling back to the default
+ * @param {string} strategy - Requested strategy
+ * @returns {string} One of SOURCE_STRATEGIES
+ */
+export function normalizeStrategy(strategy) {
+  const s = String(strategy || "").trim().toLowerCase();
+  return SOURCE_STRATEGIES.includes(s) ? s : DEFAULT_SOURCE_STRATEGY;
+}
+
+/**
+ * Reward of one source for one run
+ * @param {object} metrics - {linksFound: new unique links, avgQuality: 0-1 or null}
+ * @returns {number} Reward 0-1
+ */
+export function sourceReward({ linksFound = 0, avgQuality = null } = {}) {
+  const linkPart = Math.min((linksFound || 0) / REWARD_LINKS_TARGET, 1);
+  if (avgQuality === null || avgQuality === undefined) return linkPart;
+  return 0.5 * linkPart + 0.5 * Math.min(Math.max(avgQuality, 0), 1);
+}
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+const round3 = (x) => (Number.isFinite(x) ? Math.round(x * 1000) / 1000 : x);
+
+/** standard normal via Box-Muller */
+function randomNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** Gamma(shape, 1) via Marsaglia-Tsang */
+function randomGamma(shape, random) {
+  if (shape < 1) return randomGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = randomNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function randomBeta(a, b, random) {
+  const x = randomGamma(a, random);
+  const y = randomGamma(b, random);
+  return x / (x + y);
+}
+
+/**
+ * Mean reward and confidence bounds of one arm
+ * @param {string} strategy - Strategy (decides which bounds are reported)
+ * @param {object} perf - sourcePerformance entry (or undefined)
+ * @param {number} totalPulls - Pulls over all arms
+ * @returns {object} {pulls, mean, lower, upper}
+ */
+export function armBounds(strategy, perf, totalPulls) {
+  const pulls = perf?.pulls || 0;
+  const rewards = perf?.rewardSum || 0;
+
+  if (strategy === "thompson") {
+    const a = 1 + rewards;
+    const b = 1 + Math.max(0, pulls - rewards);
+    const mean = a / (a + b);
+    const sd = Math.sqrt((a * b) / ((a + b) ** 2 * (a + b + 1)));
+    return { pulls: round3(pulls), mean: round3(mean), lower: round3(clamp01(mean - 1.96 * sd)), upper: round3(clamp01(mean + 1.96 * sd)) };
+  }
+
+  if (pulls <= 0) return { pulls: 0, mean: null, lower: 0, upper: 1 };
+  const mean = rewards / pulls;
+  const width = Math.sqrt((2 * Math.log(Math.max(totalPulls, 1))) / pulls);
+  return { pulls: round3(pulls), mean: round3(mean), lower: round3(clamp01(mean - width)), upper: round3(clamp01(mean + width)) };
+}
+
+/**
+ * Choose `count` arms with UCB1 or Thompson sampling
+ * @param {string} strategy - "ucb1" | "thompson"
+ * @param {Array} arms - Sources [{id, ...}]
+ * @param {Map} performance - source id -> sourcePerformance entry
+ * @param {number} count - Arms to pick
+ * @param {Function} random - PRNG returning [0, 1)
+ * @returns {Array} Chosen sources, each with a `bandit` field {strategy, pulls, mean, lower, upper, index}
+ */
+export function selectArms(strategy, arms, performance, count, random = Math.random) {
+  const totalPulls = arms.reduce((sum, a) => sum + (performance.get(a.id)?.pulls || 0), 0);
+
+  const scored = arms.map((arm) => {
+    const perf = performance.get(arm.id);
+    const bounds = armBounds(strategy, perf, totalPulls);
+    let index;
+    if (strategy === "thompson") {
+      const rewards = perf?.rewardSum || 0;
+      index = randomBeta(1 + rewards, 1 + Math.max(0, (perf?.pulls || 0) - rewards), random);
+    } else {
+      // unplayed arms first, random order among them
+      index = bounds.pulls > 0 ? bounds.mean + Math.sqrt((2 * Math.log(Math.max(totalPulls, 1))) / (perf.pulls)) : Infinity;
+    }
+    return { arm, bounds, index, tie: random() };
+  });
+
+  scored.sort((a, b) => b.index - a.index || b.tie - a.tie);
+
+  return scored.slice(0, count).map(({ arm, bounds, index }) => ({
+    ...arm,
+    bandit: { strategy, ...bounds, index: Number.isFinite(index) ? round3(index) : null },
+  }));
+}
@@ -0,0 +1,250 @@
+// ============================================
+// 🛡️ BLOCK-PAGE DETECTION
+// ============================================
+//
+// Sites rarely answer a scraper with a clean error: a block is often an
+// HTTP 200 challenge page, a login wall or an empty shell. Every
+// navigation is classified so such pages are not parsed into junk rows:
+//
+//   ok            - the page has the adapter's key selectors, or (list pages)
+//                   its "no results" marker: an empty page past the end is not a block
+//   not_found     - HTTP 404/410, a "not found" page, or redirected off the listing
+//   rate_limited  - HTTP 429 (503 without a challenge), "too many requests"
+//   blocked       - HTTP 401/403, captcha / bot challenge, login wall,
+//                   or key selectors missing from a (near) empty page
+//
+// A job creates one guard (createBlockGuard). blocked / rate_limited
+// pages pause every worker of the job with exponential backoff
+// (SCRAPE_BLOCK_BACKOFF_MS, doubling up to SCRAPE_BLOCK_BACKOFF_MAX_MS)
+// and save an HTML + PNG snapshot to debug/. After SCRAPE_BLOCK_GIVE_UP
+// bad pages in a row the guard gives up and the job ends with what it has.
+//
+// Adapters describe their pages with pageChecks:
+//   { list: [selectors], detail: [selectors], empty: [selectors], notFound: [RegExp] }
+// a page is "ok" when any selector of its kind matches; `empty` marks a
+// list page that loaded fine but has zero results.
+//
+// Interface:
+//   classifyPage(info)                  - {state, reason} from status/title/text/keyFound/emptyFound
+//   inspectPage(page, response, checks) - classify a loaded page
+//   createBlockGuard(options)           - per-job guard:
+//     check(page, response, kind)       - classify, count, back off; throws unless ok
+//     checkError(err, kind, url)        - count an HTTP 429/503 navigation error
+//     whenClear(signal)                 - wait out the current pause
+//     gaveUp / degraded()               - too many bad pages / any block at all
+//     summary()                         - counts for meta.page_states
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import { sleep, log } from "./common.js";
+import { scrapeError } from "./errors.js";
+
+const BACKOFF_MS = Math.max(1000, Number(process.env.SCRAPE_BLOCK_BACKOFF_MS || 30_000));
+const BACKOFF_MAX_MS = Math.max(BACKOFF_MS, Number(process.env.SCRAPE_BLOCK_BACKOFF_MAX_MS || 10 * 60 * 1000));
+const GIVE_UP_AFTER = Math.max(1, Number(process.env.SCRAPE_BLOCK_GIVE_UP || 6)); // bad pages in a row
+const MAX_SNAPSHOTS = 5; // per job
+const MIN_TEXT_LENGTH = 200; // shorter bodies without key selectors count as empty
+const SAMPLE_CHARS = 3000;
+
+export const PAGE_STATES = ["ok", "blocked", "not_found", "rate_limited"];
+
+const CHALLENGE_PATTERNS = [
+  /just a moment/i,
+  /attention required/i,
+  /checking (if the site connection is secure|your browser)/i,
+  /captcha/i,
+  /are you (a )?(robot|human)/i,
+  /access denied/i,
+  /request (was )?blocked/i,
+  /unusual traffic/i,
+  /ddos protection/i,
+  /cf-chl|cf_chl/i,
+];
+const RATE_PATTERNS = [/too many requests/i, /rate limit(ed)?/i, /slow down/i];
+const LOGIN_PATTERNS = [/please (log|sign) ?in/i, /login required/i, /กรุณาเข้าสู่ระบบ/];
+const NOT_FOUND_PATTERNS = [/\b404\b/, /page not found/i, /ไม่พบหน้า/];
+
+const matchesAny = (patterns, text) => patterns.some((re) => re.test(text));
+
+/**
+ * Classify a navigation
+ * @param {object} info - {status, title, text, textLength, keyFound, emptyFound, redirected, notFound: [RegExp]}
+ * @returns {object} {state, reason}
+ */
+export function classifyPage({
+  status = null,
+  title = "",
+  text = "",
+  textLength = null,
+  keyFound = true,
+  emptyFound = false,
+  redirected = false,
+  notFound = [],
+} = {}) {
+  const head = `${title}\n${String(text).slice(0, SAMPLE_CHARS)}`;
+
+  if (status === 429) return { state: "rate_limited", reason: "HTTP 429" };
+  if (status === 404 || status === 410) return { state: "not_found", reason: `HTTP ${status}` };
+  if (status === 401 || status === 403) return { state: "blocked", reason: `HTTP ${status}` };
+  if (matchesAny(CHALLENGE_PATTERNS, head)) return { state: "blocked", reason: "challenge page" };
+  if (status === 503 || matchesAny(RATE_PATTERNS, title)) return { state: "rate_limited", reason: status === 503 ? "HTTP 503" : "rate-limit page" };
+  if (keyFound) return { state: "ok", reason: null };
+  if (emptyFound) return { state: "ok", reason: "no results" };
+
+  if (redirected) return { state: "not_found", reason: "redirected away" };
+  if (matchesAny([...NOT_FOUND_PATTERNS, ...notFound], head)) return { state: "not_found", reason: "not-found page" };
+  if (matchesAny(LOGIN_PATTERNS, head)) return { state: "blocked", reason: "login wall" };
+  if (matchesAny(RATE_PATTERNS, head)) return { state: "rate_limited", reason: "rate-limit page" };
+  if ((textLength ?? String(text).length) < MIN_TEXT_LENGTH) return { state: "blocked", reason: "empty page" };
+  return { state: "blocked", reason: "key selectors missing" };
+}
+
+/**
+ * Classify a page that has just been loaded
+ * @param {Page} page - Playwright page
+ * @param {Response|null} response - Navigation response (robustGoto)
+ * @param {object} checks - {selectors, empty, notFound, isExpectedUrl(url)}
+ * @returns {Promise<object>} {state, reason, status, title, url}
+ */
+export async function inspectPage(page, response, { selectors = [], empty = [], notFound = [], isExpectedUrl = null } = {}) {
+  const status = response?.status() ?? null;
+  const url = page.url();
+  const info = await page.evaluate(({ sels, emptySels, max }) => {
+    const body = document.body?.innerText || "";
+    const found = (s) => {
+      try { return Boolean(document.querySelector(s)); } catch { return false; }
+    };
+    return {
+      title: document.title || "",
+      text: body.slice(0, max),
+      textLength: body.trim().length,
+      keyFound: !sels.length || sels.some(found),
+      emptyFound: emptySels.some(found),
+    };
+  }, { sels: selectors, emptySels: empty, max: SAMPLE_CHARS }).catch(() => null);
+
+  // page gone mid-check (closed / navigated): judge by status alone
+  const verdict = classifyPage({
+    status,
+    ...(info || { keyFound: true }),
+    redirected: typeof isExpectedUrl === "function" && !isExpectedUrl(url),
+    notFound,
+  });
+  return { ...verdict, status, title: info?.title || "", url };
+}
+
+/** error thrown for pages that must not be parsed (code BLOCKED / RATE_LIMITED / NOT_FOUND) */
+function pageStateError(verdict, url) {
+  return scrapeError(
+    verdict.state.toUpperCase(),
+    `${verdict.state.replace("_", " ")}: ${verdict.reason} (${url})`,
+    { pageState: verdict.state },
+  );
+}
+
+/**
+ * Create the block guard for one job
+ * @param {object} options - {adapter, debugDir(): string, backoffMs, maxBackoffMs, giveUpAfter}
+ * @returns {object} Guard (see interface above)
+ */
+export function createBlockGuard({
+  adapter,
+  debugDir = () => path.join(process.cwd(), "debug"),
+  backoffMs = BACKOFF_MS,
+  maxBackoffMs = BACKOFF_MAX_MS,
+  giveUpAfter = GIVE_UP_AFTER,
+} = {}) {
+  const checks = adapter?.pageChecks || {};
+  const counts = { ok: 0, blocked: 0, not_found: 0, rate_limited: 0 };
+  const snapshots = [];
+  let streak = 0; // blocked / rate_limited pages in a row
+  let pausedUntil = 0;
+  let backoffs = 0;
+  let pausedMs = 0;
+  let lastReason = null;
+
+  const snapshot = async (page, kind, state) => {
+    if (!page || snapshots.length >= MAX_SNAPSHOTS) return;
+    try {
+      const dir = debugDir();
+      await fs.promises.mkdir(dir, { recursive: true });
+      const base = path.join(dir, `${state}_${kind}_${Date.now()}`);
+      await fs.promises.writeFile(`${base}.html`, await page.content());
+      await page.screenshot({ path: `${base}.png`, fullPage: false }).catch(() => {});
+      snapshots.push(path.basename(base));
+    } catch (e) {
+      log(`⚠️ Cannot save block snapshot: ${e.message}`);
+    }
+  };
+
+  /** count one verdict; blocked / rate_limited pauses the whole job (returns true for those) */
+  const record = (verdict, kind, url) => {
+    counts[verdict.state]++;
+    if (verdict.state === "ok") streak = 0;
+    if (verdict.state === "ok" || verdict.state === "not_found") return false;
+
+    streak++;
+    backoffs++;
+    lastReason = `${verdict.state}: ${verdict.reason}`;
+    const delay = Math.min(maxBackoffMs, backoffMs * 2 ** (streak - 1));
+    const until = Date.now() + delay;
+    if (until > pausedUntil) {
+      pausedMs += Math.max(0, until - Math.max(pausedUntil, Date.now()));
+      pausedUntil = until;
+    }
+    log(`🛡️ ${kind} page ${verdict.state} (${verdict.reason}) ${url}: pausing all workers ${Math.round(delay / 1000)}s`);
+    if (guard.gaveUp) log(`🛡️ ${streak} bad pages in a row, giving up on the remaining pages`);
+    return true;
+  };
+
+  const guard = {
+    get gaveUp() {
+      return streak >= giveUpAfter;
+    },
+
+    async check(page, response, kind) {
+      const verdict = await inspectPage(page, response, {
+        selectors: checks[kind] || [],
+        empty: kind === "list" ? checks.empty || [] : [],
+        notFound: checks.notFound || [],
+        isExpectedUrl: kind === "detail" ? adapter?.isDetailUrl : null,
+      });
+      if (record(verdict, kind, verdict.url)) await snapshot(page, kind, verdict.state);
+      if (verdict.state !== "ok") throw pageStateError(verdict, verdict.url);
+      return verdict;
+    },
+
+    checkError(err, kind, url) {
+      const status = Number(err?.status);
+      if (status !== 429 && status !== 503) return null;
+      const verdict = classifyPage({ status });
+      record(verdict, kind, url);
+      return verdict;
+    },
+
+    async whenClear(signal) {
+      while (Date.now() < pausedUntil && !signal?.aborted) {
+        await sleep(Math.min(1000, pausedUntil - Date.now()));
+      }
+    },
+
+    degraded() {
+      return counts.blocked + counts.rate_limited > 0;
+    },
+
+    summary() {
+      return {
+        ...counts,
+        backoffs,
+        paused_ms: pausedMs,
+        gave_up: guard.gaveUp,
+        last_reason: lastReason,
+        snapshots,
+      };
+    },
+  };
+
+  return guard;
+}
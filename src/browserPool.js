@@ -0,0 +1,138 @@
+// ============================================
+// 🌐 BROWSER POOL
+// ============================================
+//
+// One shared Chromium for every job, with a hard cap on how many
+// browser contexts can be open at once. Jobs borrow a context with
+// acquireContext() and give it back with releaseContext(); when the cap
+// is reached, acquireContext() waits until another job releases one.
+//
+// USAGE:
+//   const pool = createBrowserPool({ maxContexts: 4 });
+//   const ctx = await pool.acquireContext({ locale: "th-TH" }, signal);
+//   try { ... } finally { await pool.releaseContext(ctx); }
+//   await pool.close();
+//
+// ============================================
+
+import { chromium } from "playwright";
+import { scrapeError } from "./errors.js";
+
+const DEFAULT_HEADLESS = (process.env.SCRAPE_HEADLESS ?? "true") !== "false";
+const DEFAULT_ARGS = ["--disable-dev-shm-usage", "--disable-gpu", "--no-sandbox"];
+
+/**
+ * Create a shared browser pool
+ * @param {object} options - {maxContexts, headless, args}
+ * @returns {object} Pool with acquireContext/releaseContext/close/stats
+ */
+export function createBrowserPool({ maxContexts = 4, headless = DEFAULT_HEADLESS, args = DEFAULT_ARGS } = {}) {
+  const limit = Math.max(1, Math.trunc(Number(maxContexts)) || 1);
+  const leased = new Set();
+  const waiters = []; // [{resolve, reject, signal, onAbort}]
+  let pendingSlots = 0; // slots reserved for an acquire that has no context yet
+  let browserPromise = null;
+  let closed = false;
+
+  /** launch lazily, relaunch if the browser crashed */
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = chromium.launch({ headless, args }).then((browser) => {
+        browser.on("disconnected", () => {
+          browserPromise = null;
+          leased.clear();
+          wakeWaiters();
+        });
+        return browser;
+      });
+      browserPromise.catch(() => {
+        browserPromise = null;
+      });
+    }
+    return browserPromise;
+  }
+
+  function removeWaiter(w) {
+    const i = waiters.indexOf(w);
+    if (i >= 0) waiters.splice(i, 1);
+    w.signal?.removeEventListener("abort", w.onAbort);
+  }
+
+  function wakeWaiters() {
+    while (waiters.length && leased.size + pendingSlots < limit) {
+      const w = waiters.shift();
+      w.signal?.removeEventListener("abort", w.onAbort);
+      pendingSlots++; // reserve before resolving: the waiter only runs after this loop
+      w.resolve();
+    }
+  }
+
+  /** resolves once a slot is reserved (pendingSlots) for the caller */
+  function waitForSlot(signal) {
+    if (leased.size + pendingSlots < limit && waiters.length === 0) {
+      pendingSlots++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const w = { resolve, reject, signal, onAbort: null };
+      w.onAbort = () => {
+        removeWaiter(w);
+        reject(scrapeError("CANCELLED", "cancelled"));
+      };
+      signal?.addEventListener("abort", w.onAbort, { once: true });
+      waiters.push(w);
+    });
+  }
+
+  return {
+    /**
+     * Borrow a fresh browser context (waits while the pool is full)
+     * @param {object} contextOpts - Playwright newContext options
+     * @param {AbortSignal} signal - Stop waiting when aborted
+     * @returns {Promise<object>} BrowserContext
+     */
+    async acquireContext(contextOpts = {}, signal) {
+      if (closed) throw new Error("browser pool is closed");
+      if (signal?.aborted) throw scrapeError("CANCELLED", "cancelled");
+
+      await waitForSlot(signal);
+      try {
+        const browser = await getBrowser();
+        const ctx = await browser.newContext(contextOpts);
+        leased.add(ctx);
+        return ctx;
+      } finally {
+        pendingSlots--;
+        wakeWaiters();
+      }
+    },
+
+    /**
+     * Close a borrowed context and free its slot (safe to call twice)
+     * @param {object} ctx - BrowserContext from acquireContext
+     */
+    async releaseContext(ctx) {
+      if (!ctx) return;
+      const wasLeased = leased.delete(ctx);
+      await ctx.close().catch(() => {});
+      if (wasLeased) wakeWaiters();
+    },
+
+    /** Close the shared browser and reject everyone still waiting */
+    async close() {
+      closed = true;
+      for (const w of [...waiters]) {
+        removeWaiter(w);
+        w.reject(new Error("browser pool is closed"));
+      }
+      const p = browserPromise;
+      browserPromise = null;
+      if (p) await p.then((b) => b.close()).catch(() => {});
+    },
+
+    stats() {
+      return { maxContexts: limit, inUse: leased.size, waiting: waiters.length, launched: Boolean(browserPromise) };
+    },
+  };
+}
@@ -0,0 +1,141 @@
+// ============================================
+// 🛠️ SHARED SCRAPER HELPERS
+// ============================================
+//
+// Small helpers used by scraper.js and by every site adapter
+// (src/adapters/*). Kept in their own module so adapters never have
+// to import scraper.js back.
+//
+// ============================================
+
+import { scrapeError } from "./errors.js";
+
+// Debug logging
+const DEBUG_SCRAPER = (process.env.DEBUG_SCRAPER ?? "true") === "true";
+
+// Navigation timeout (ms)
+const NAV_TIMEOUT_MS = Number(process.env.SCRAPE_NAV_TIMEOUT || 60_000);
+
+// Max images kept per listing
+const MAX_IMAGES = Math.max(0, Number(process.env.SCRAPE_MAX_IMAGES || 20));
+
+/** resolves after ms, or right away once signal (optional AbortSignal) aborts */
+const sleep = (ms, signal = null) => new Promise((resolve) => {
+  if (signal?.aborted) return resolve();
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener("abort", done, { once: true });
+});
+
+function log(...args) { 
+  if (DEBUG_SCRAPER) console.log("[scraper]", ...args); 
+}
+
+function cleanText(s) { 
+  return String(s ?? "").replace(/\s+/g, " ").trim(); 
+}
+
+function parseNumberLike(s) {
+  if (s === null || s === undefined) return null;
+  const txt = String(s).replace(/,/g, "");
+  const m = txt.match(/-?\d+(?:\.\d+)?/g);
+  if (!m) return null;
+  const n = Number(m.join(""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function absUrl(base, href) {
+  if (!href) return "";
+  try {
+    if (/^https?:\/\//i.test(href)) return href;
+    return new URL(href, base).toString();
+  } catch { return ""; }
+}
+
+function nowISO() { 
+  return new Date().toISOString(); 
+}
+
+function thaiDateToISO(text) {
+  const m = String(text || "").match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!m) return null;
+  const dd = Number(m[1]), mm = Number(m[2]);
+  let yy = Number(m[3]);
+  if (yy >= 2400) yy = yy - 543; // Convert Buddhist year to Gregorian
+  if (!dd || !mm || !yy) return null;
+  const iso = new Date(Date.UTC(yy, mm - 1, dd, 0, 0, 0));
+  return Number.isNaN(iso.getTime()) ? null : iso.toISOString().slice(0, 10);
+}
+
+
+async function injectPerfCSS(page) {
+  await page.addStyleTag({
+    content: `*, *::before, *::after { animation-duration: 0.001s !important; transition-duration: 0.001s !important; }`
+  }).catch(() => {});
+}
+
+/**
+ * page.goto with retries
+ * With a limiter (rateLimiter.js session) every attempt waits for a slot
+ * first (robots.txt refusals are thrown right away) and 429/503 answers
+ * are reported back and retried. An aborted signal stops the waits and
+ * throws code CANCELLED.
+ * @param {Page} page - Playwright page
+ * @param {string} url - URL to open
+ * @param {object} options - {timeout, waitUntil, retries, limiter, signal}
+ * @returns {Promise<Response|null>} Navigation response
+ */
+async function robustGoto(page, url, { timeout = NAV_TIMEOUT_MS, waitUntil = "domcontentloaded", retries = 2, limiter = null, signal = null } = {}) {
+  let lastErr = null;
+  for (let i = 0; i <= retries; i++) {
+    if (signal?.aborted) throw scrapeError("CANCELLED", "cancelled");
+    if (limiter) await limiter.acquire(url, signal);
+    try {
+      const res = await page.goto(url, { timeout, waitUntil });
+      const status = res?.status() ?? null;
+      if (limiter) {
+        limiter.report(url, status, res?.headers()["retry-after"]);
+        if (status === 429 || status === 503) throw scrapeError("RATE_LIMITED", `HTTP ${status}`, { status });
+      }
+      return res;
+    } catch (e) {
+      lastErr = e;
+      await sleep(e.message.includes("crash") ? 2000 + i * 1000 : 450 + i * 700, signal);
+    }
+  }
+  throw lastErr || new Error("goto failed");
+}
+
+async function dismissOverlays(page) {
+  await page.keyboard.press("Escape").catch(() => {});
+  const selectors = ['button:has-text("ยอมรับ")', 'button:has-text("ตกลง")', ".swal2-close", ".close"];
+  for (const sel of selectors) {
+    try {
+      const loc = page.locator(sel).first();
+      if ((await loc.count()) > 0) {
+        await loc.click({ timeout: 900 }).catch(() => {});
+        await page.waitForTimeout(120);
+      }
+    } catch {}
+  }
+}
+
+export {
+  DEBUG_SCRAPER,
+  NAV_TIMEOUT_MS,
+  MAX_IMAGES,
+  sleep,
+  log,
+  cleanText,
+  parseNumberLike,
+  absUrl,
+  nowISO,
+  thaiDateToISO,
+  injectPerfCSS,
+  robustGoto,
+  dismissOverlays,
+};
@@ -0,0 +1,115 @@
+// ============================================
+// 🧯 ERROR TAXONOMY
+// ============================================
+//
+// Every failure kept in meta.errors carries a code, so a run can tell a
+// slow network from a block or from DOM drift without reading messages:
+//
+//   NAV_TIMEOUT        - page.goto did not finish in time
+//   NETWORK            - DNS / connection failures (net::ERR_*, ECONNRESET, ...)
+//   DETAIL_TIMEOUT     - a detail page took longer than SCRAPE_DETAIL_TIMEOUT_MS overall
+//   EVAL_TIMEOUT       - extracting data from a loaded page hung
+//   PARSE_EMPTY        - the page loaded but nothing could be extracted (selectors out of date?)
+//   BLOCKED            - block / captcha / login page (blockDetector.js)
+//   RATE_LIMITED       - HTTP 429/503 or a rate-limit page
+//   NOT_FOUND          - listing removed (HTTP 404/410, not-found page, redirected away)
+//   ROBOTS_DISALLOWED  - robots.txt forbids the URL (rateLimiter.js)
+//   BROWSER_CRASH      - page / context / browser crashed or was closed
+//   CANCELLED          - the job was cancelled
+//   UNKNOWN            - anything else
+//
+// Errors we throw ourselves get their code from scrapeError(); errors from
+// Playwright or Node are classified by message (errorCode).
+//
+// Interface:
+//   ERROR_CODES / PERMANENT_CODES      - all codes / codes a retry cannot fix
+//   scrapeError(code, message, extra)  - Error with .code (+ extra fields)
+//   errorCode(err)                     - code of any error
+//   errorRecord(err, info)             - meta.errors entry {url, error, code, stage, attempt, duration_ms, source}
+//   summarizeErrors(errors)            - {total, by_code, by_stage, by_source} for meta.error_stats
+//
+// ============================================
+
+export const ERROR_CODES = [
+  "NAV_TIMEOUT",
+  "NETWORK",
+  "DETAIL_TIMEOUT",
+  "EVAL_TIMEOUT",
+  "PARSE_EMPTY",
+  "BLOCKED",
+  "RATE_LIMITED",
+  "NOT_FOUND",
+  "ROBOTS_DISALLOWED",
+  "BROWSER_CRASH",
+  "CANCELLED",
+  "UNKNOWN",
+];
+
+export const PERMANENT_CODES = ["NOT_FOUND", "ROBOTS_DISALLOWED"];
+
+/**
+ * Create an error with a taxonomy code
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Error message (defaults to the code)
+ * @param {object} extra - Extra fields (status, pageState, ...)
+ * @returns {Error}
+ */
+export function scrapeError(code, message, extra = {}) {
+  return Object.assign(new Error(message || code), { ...extra, code });
+}
+
+/**
+ * Code of an error: its own .code when it is a taxonomy code, else by message
+ * @param {Error|string} err - Any error
+ * @returns {string} One of ERROR_CODES
+ */
+export function errorCode(err) {
+  if (ERROR_CODES.includes(err?.code)) return err.code;
+  const msg = String(err?.message || err || "");
+
+  if (/^cancelled$/i.test(msg)) return "CANCELLED";
+  if (/net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up/i.test(msg)) return "NETWORK";
+  if (/crash|target closed|has been closed|browser has disconnected/i.test(msg)) return "BROWSER_CRASH";
+  if (err?.name === "TimeoutError" || /timeout \d+ms exceeded/i.test(msg)) return "NAV_TIMEOUT";
+  if (/^HTTP (429|503)\b/.test(msg)) return "RATE_LIMITED";
+  if (/^HTTP (404|410)\b/.test(msg)) return "NOT_FOUND";
+  if (/^HTTP (401|403)\b/.test(msg)) return "BLOCKED";
+  return "UNKNOWN";
+}
+
+/**
+ * meta.errors entry for a failed page
+ * @param {Error} err - The error
+ * @param {object} info - {url, stage: "list"|"detail", attempt, durationMs, source}
+ * @returns {object} {url, error, code, stage, attempt, duration_ms, source}
+ */
+export function errorRecord(err, { url = null, stage = null, attempt = null, durationMs = null, source = null } = {}) {
+  return {
+    url,
+    error: String(err?.message || err),
+    code: errorCode(err),
+    stage,
+    attempt: attempt ?? err?.attempt ?? 1,
+    duration_ms: durationMs === null ? null : Math.round(durationMs),
+    source,
+  };
+}
+
+/**
+ * Aggregate counts of meta.errors
+ * @param {Array} errors - meta.errors (entries from before codes existed count by message)
+ * @returns {object} {total, by_code, by_stage, by_source}
+ */
+export function summarizeErrors(errors = []) {
+  const out = { total: 0, by_code: {}, by_stage: {}, by_source: {} };
+  const bump = (obj, key) => {
+    obj[key] = (obj[key] || 0) + 1;
+  };
+  for (const e of errors || []) {
+    out.total++;
+    bump(out.by_code, e.code || errorCode(e.error));
+    bump(out.by_stage, e.stage || "unknown");
+    bump(out.by_source, e.source || "unknown");
+  }
+  return out;
+}
@@ -0,0 +1,131 @@
+// ============================================
+// 💾 JOB STORE
+// ============================================
+//
+// Persists jobs (options, meta, errors, insights, rows) so results
+// survive server restarts and in-memory TTL eviction.
+//
+// Drivers:
+//   - "file"   (default) one JSON file per job: <dir>/<jobId>.json
+//   - "memory" keeps nothing on disk (old behaviour)
+//
+// Every driver exposes the same interface:
+//   driver              - driver name
+//   loadAll()           - all stored records (sync, used at startup)
+//   get(jobId)          - one record or null (sync)
+//   save(jobId, record) - write a record (async, writes are serialized per job)
+//   remove(jobId)       - delete a record (async)
+//   list()              - [{jobId, createdAt, status}] without rows (sync; the file
+//                         driver answers from memory, job files are read only once)
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+
+const JOB_ID_RE = /^[a-zA-Z0-9-]{8,64}$/;
+
+function createMemoryStore() {
+  return {
+    driver: "memory",
+    loadAll: () => [],
+    get: () => null,
+    save: async () => {},
+    remove: async () => {},
+    list: () => [],
+  };
+}
+
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileOf = (jobId) => path.join(dir, `${jobId}.json`);
+  const pending = new Map(); // jobId -> last write promise
+  let summaries = null; // jobId -> {jobId, createdAt, status}, filled by loadAll / first list()
+
+  const summaryOf = (rec) => ({ jobId: rec.jobId, createdAt: rec.createdAt, status: rec.status });
+
+  const readFile = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      console.error(`[jobStore] Cannot read ${path.basename(file)}: ${e.message}`);
+      return null;
+    }
+  };
+
+  const jobFiles = () => {
+    try {
+      return fs.readdirSync(dir).filter((f) => f.endsWith(".json") && JOB_ID_RE.test(f.slice(0, -5)));
+    } catch {
+      return [];
+    }
+  };
+
+  /** chain writes per job so an older snapshot never overwrites a newer one */
+  const enqueue = (jobId, task) => {
+    const prev = pending.get(jobId) || Promise.resolve();
+    const next = prev.then(task).catch((e) => {
+      console.error(`[jobStore] ${jobId.slice(0, 8)}: ${e.message}`);
+    });
+    pending.set(jobId, next);
+    next.finally(() => {
+      if (pending.get(jobId) === next) pending.delete(jobId);
+    });
+    return next;
+  };
+
+  return {
+    driver: "file",
+    dir,
+
+    loadAll() {
+      const records = jobFiles().map((f) => readFile(path.join(dir, f))).filter(Boolean);
+      summaries = new Map(records.map((rec) => [rec.jobId, summaryOf(rec)]));
+      return records;
+    },
+
+    get(jobId) {
+      if (!JOB_ID_RE.test(jobId)) return null;
+      const file = fileOf(jobId);
+      return fs.existsSync(file) ? readFile(file) : null;
+    },
+
+    save(jobId, record) {
+      if (!JOB_ID_RE.test(jobId)) return Promise.resolve();
+      summaries?.set(jobId, summaryOf({ ...record, jobId }));
+      return enqueue(jobId, async () => {
+        // write to a temp file then rename, so a crash never leaves half a JSON
+        const tmp = `${fileOf(jobId)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(record));
+        await fs.promises.rename(tmp, fileOf(jobId));
+      });
+    },
+
+    remove(jobId) {
+      if (!JOB_ID_RE.test(jobId)) return Promise.resolve();
+      summaries?.delete(jobId);
+      return enqueue(jobId, () => fs.promises.rm(fileOf(jobId), { force: true }));
+    },
+
+    list() {
+      if (!summaries) this.loadAll();
+      return [...summaries.values()];
+    },
+  };
+}
+
+/**
+ * Create a job store
+ * @param {object} options - {driver: "file"|"memory", dir: string}
+ * @returns {object} Store (see interface above)
+ */
+export function createJobStore({ driver = "file", dir } = {}) {
+  const d = String(driver || "file").toLowerCase();
+  if (d === "memory") return createMemoryStore();
+  if (d === "file") {
+    if (!dir) throw new Error("jobStore: dir is required for the file driver");
+    return createFileStore(dir);
+  }
+  throw new Error(`jobStore: unknown driver "${driver}" (use file or memory)`);
+}
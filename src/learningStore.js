@@ -0,0 +1,201 @@
+// ============================================
+// 🧠 LEARNING STORE
+// ============================================
+//
+// Keeps AILearningEngine state (source performance, price and category
+// statistics, scroll effectiveness) between runs, one entry per site
+// adapter, so source selection actually learns across jobs.
+//
+// Old observations fade out: on load, counts are scaled by
+// 0.5 ^ (age / halfLifeMs), so a source that was good a month ago
+// counts for less than one that was good yesterday. Sources whose
+// weight drops below MIN_WEIGHT are forgotten.
+//
+// Interface:
+//   load(adapterId)         - decayed state or null (sync)
+//   save(adapterId, state)  - store a run's final state (async, writes are serialized)
+//   reset(adapterId?)       - forget one adapter, or everything (async)
+//   summary()               - what is stored, for /api/learning (sync)
+//
+// Without a file the state lives in memory until the server stops.
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+
+const VERSION = 1;
+const MIN_WEIGHT = 0.1; // decayed attempts/count below this are dropped
+
+// sourcePerformance fields that are counts (decayed), the rest are averages
+const SOURCE_COUNTS = ["attempts", "successes", "totalLinks", "qualityRuns", "pulls", "rewardSum"];
+
+const emptyData = () => ({ version: VERSION, adapters: {} });
+
+/**
+ * Scale a stored state by a decay factor
+ * @param {object} state - Output of AILearningEngine#exportState
+ * @param {number} factor - 0..1 (1 = no decay)
+ * @returns {object} New decayed state
+ */
+function decayState(state, factor) {
+  const out = {
+    sourcePerformance: {},
+    priceStats: { min: null, max: 0, sum: 0, count: 0, values: [] },
+    categoryStats: {},
+    scrollEffectiveness: Array.isArray(state?.scrollEffectiveness) ? [...state.scrollEffectiveness] : [],
+  };
+
+  for (const [id, perf] of Object.entries(state?.sourcePerformance || {})) {
+    if (perf.attempts * factor < MIN_WEIGHT) continue;
+    const decayed = { ...perf };
+    for (const key of SOURCE_COUNTS) {
+      if (typeof perf[key] === "number") decayed[key] = perf[key] * factor;
+    }
+    out.sourcePerformance[id] = decayed;
+  }
+
+  // keep the newest share of price samples, recompute the summary from them
+  const values = Array.isArray(state?.priceStats?.values) ? state.priceStats.values : [];
+  const kept = values.slice(values.length - Math.round(values.length * factor));
+  if (kept.length) {
+    out.priceStats = {
+      min: Math.min(...kept),
+      max: Math.max(...kept),
+      sum: kept.reduce((s, v) => s + v, 0),
+      count: kept.length,
+      values: kept,
+    };
+  }
+
+  for (const [cat, stats] of Object.entries(state?.categoryStats || {})) {
+    const count = stats.count * factor;
+    if (count < MIN_WEIGHT) continue;
+    out.categoryStats[cat] = { ...stats, count, sum: stats.sum * factor };
+  }
+
+  return out;
+}
+
+/**
+ * Merge a run's state into what is stored
+ * Concurrent jobs start from the same snapshot; per source, the entry
+ * with more attempts wins so one job does not wipe out another.
+ * @param {object|null} stored - Stored state (already decayed to now)
+ * @param {object} incoming - State from the finished run
+ * @returns {object} Merged state
+ */
+function mergeState(stored, incoming) {
+  if (!stored) return incoming;
+  const sourcePerformance = { ...stored.sourcePerformance };
+  for (const [id, perf] of Object.entries(incoming.sourcePerformance || {})) {
+    if (!sourcePerformance[id] || perf.attempts >= sourcePerformance[id].attempts) sourcePerformance[id] = perf;
+  }
+  return { ...incoming, sourcePerformance };
+}
+
+/**
+ * Create a learning store
+ * @param {object} options - {file: JSON path or null for memory, halfLifeMs: decay half-life (0 = never decay)}
+ * @returns {object} Store (see interface above)
+ */
+export function createLearningStore({ file = null, halfLifeMs = 14 * 24 * 60 * 60 * 1000 } = {}) {
+  let data = emptyData();
+  let pending = Promise.resolve();
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      if (fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (parsed?.version === VERSION && parsed.adapters && typeof parsed.adapters === "object") data = parsed;
+      }
+    } catch (e) {
+      console.error(`[learning] Cannot read ${path.basename(file)}: ${e.message}`);
+    }
+  }
+
+  const factorFor = (updatedAt) => {
+    if (!(halfLifeMs > 0) || !updatedAt) return 1;
+    const age = Math.max(0, Date.now() - new Date(updatedAt).getTime());
+    return Math.pow(0.5, age / halfLifeMs);
+  };
+
+  /** write the whole file (temp + rename), one write at a time */
+  const flush = () => {
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify(data);
+    pending = pending.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    }).catch((e) => {
+      console.error(`[learning] Cannot write ${path.basename(file)}: ${e.message}`);
+    });
+    return pending;
+  };
+
+  return {
+    file,
+    halfLifeMs,
+
+    load(adapterId) {
+      const entry = data.adapters[adapterId];
+      if (!entry?.state) return null;
+      return decayState(entry.state, factorFor(entry.updatedAt));
+    },
+
+    save(adapterId, state) {
+      if (!adapterId || !state) return Promise.resolve();
+      const entry = data.adapters[adapterId];
+      const stored = entry?.state ? decayState(entry.state, factorFor(entry.updatedAt)) : null;
+      data.adapters[adapterId] = {
+        updatedAt: new Date().toISOString(),
+        runs: (entry?.runs || 0) + 1,
+        state: mergeState(stored, state),
+      };
+      return flush();
+    },
+
+    reset(adapterId) {
+      if (adapterId) delete data.adapters[adapterId];
+      else data = emptyData();
+      return flush();
+    },
+
+    summary() {
+      const adapters = {};
+      for (const [id, entry] of Object.entries(data.adapters)) {
+        const state = decayState(entry.state, factorFor(entry.updatedAt));
+        const sources = Object.entries(state.sourcePerformance)
+          .map(([sourceId, p]) => ({
+            id: sourceId,
+            score: Number(p.score.toFixed(3)),
+            attempts: Number(p.attempts.toFixed(2)),
+            successRate: p.attempts > 0 ? Number((p.successes / p.attempts).toFixed(3)) : 0,
+            avgLinksFound: Number((p.avgLinksFound || 0).toFixed(1)),
+            avgQuality: Number((p.avgQuality || 0).toFixed(3)),
+            pulls: Number((p.pulls || 0).toFixed(2)),
+            meanReward: p.pulls > 0 ? Number((p.rewardSum / p.pulls).toFixed(3)) : null,
+          }))
+          .sort((a, b) => b.score - a.score);
+        const price = state.priceStats;
+        adapters[id] = {
+          updatedAt: entry.updatedAt,
+          runs: entry.runs || 0,
+          decayFactor: Number(factorFor(entry.updatedAt).toFixed(3)),
+          sources,
+          priceStats: {
+            count: price.count,
+            min: price.min,
+            max: price.max,
+            avg: price.count ? Math.round(price.sum / price.count) : 0,
+          },
+          categories: Object.keys(state.categoryStats),
+          scrollRuns: state.scrollEffectiveness.length,
+        };
+      }
+      return { driver: file ? "file" : "memory", file, halfLifeMs, adapters };
+    },
+  };
+}
@@ -0,0 +1,197 @@
+// ============================================
+// 🗂️ LISTING INDEX
+// ============================================
+//
+// Remembers every listing a job has seen, per site adapter:
+//   listing_id -> {url, bumped_at_iso, price_text, card_hash, content_hash,
+//                  first_seen, last_seen, disappeared_at, row, history}
+// plus, per search URL, which listing ids it returned last time.
+//
+// Incremental jobs use it to skip detail pages whose search-result card
+// has not changed (the stored row is carried forward) and to report
+// new / changed / unchanged / disappeared listings.
+//
+// history is the listing's timeline: one snapshot per scraped row
+//   {ts, status: "active", price_value, price_text, old_price_text, views, clicks, bumped_at_iso}
+// and {ts, status: "disappeared"} when it drops out of a search.
+//
+// Interface:
+//   get(adapterId, listingId)              - entry or null (sync)
+//   record(adapterId, listingId, entry)    - upsert, keeps first_seen (sync)
+//   searchIds(adapterId, searchKey)        - listing ids the search returned last time (sync)
+//   setSearch(adapterId, searchKey, ids)   - remember what it returned this time (sync)
+//   markDisappeared(adapterId, ids)        - stamp disappeared_at (sync)
+//   addSnapshot(adapterId, listingId, snap) - append to the timeline (sync)
+//   flush(adapterId)                       - write the adapter's file (async, serialized)
+//   stats()                                - {driver, adapters: {id: {listings, searches}}}
+//
+// Storage: one JSON file per adapter, <dir>/<adapterId>.json. Without a
+// dir everything stays in memory.
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const VERSION = 1;
+const ADAPTER_ID_RE = /^[a-z0-9_-]{1,40}$/;
+const MAX_HISTORY = 200; // snapshots kept per listing (oldest dropped)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshot fields copied from a row
+const SNAPSHOT_KEYS = ["price_value", "price_text", "old_price_text", "views", "clicks", "bumped_at_iso"];
+
+/**
+ * Short stable hash of any JSON-able value
+ * @param {*} value - Value to hash
+ * @returns {string} 16 hex chars
+ */
+export function hashOf(value) {
+  return crypto.createHash("sha1").update(JSON.stringify(value ?? null)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Timeline snapshot of a scraped row
+ * @param {object} row - Row with SCHEMA_KEYS fields
+ * @returns {object} {ts, status, price_value, price_text, old_price_text, views, clicks, bumped_at_iso}
+ */
+export function snapshotOf(row) {
+  const snap = { ts: new Date().toISOString(), status: "active" };
+  for (const k of SNAPSHOT_KEYS) snap[k] = row?.[k] ?? null;
+  return snap;
+}
+
+/**
+ * Fields derived from a listing's index entry
+ * days_on_market runs from the site's created date (or first_seen if
+ * earlier / unknown) to disappeared_at or last_seen. price_change_pct
+ * compares the latest known price with the first one.
+ * @param {object|null} entry - Index entry
+ * @returns {object} {first_seen, last_seen, days_on_market, price_change_pct}
+ */
+export function historyFields(entry) {
+  if (!entry) return { first_seen: null, last_seen: null, days_on_market: null, price_change_pct: null };
+
+  const firstSeen = Date.parse(entry.first_seen);
+  const created = Date.parse(entry.row?.created_at_iso);
+  const start = Number.isFinite(created) && !(created > firstSeen) ? created : firstSeen;
+  const end = Date.parse(entry.disappeared_at || entry.last_seen);
+  const days = Number.isFinite(start) && Number.isFinite(end) ? Math.max(0, Math.floor((end - start) / DAY_MS)) : null;
+
+  const prices = (entry.history || []).map((h) => h.price_value).filter((v) => typeof v === "number" && v > 0);
+  const change = prices.length >= 2
+    ? Math.round(((prices[prices.length - 1] - prices[0]) / prices[0]) * 10000) / 100
+    : prices.length === 1 ? 0 : null;
+
+  return {
+    first_seen: entry.first_seen || null,
+    last_seen: entry.last_seen || null,
+    days_on_market: days,
+    price_change_pct: change,
+  };
+}
+
+/**
+ * Create a listing index
+ * @param {object} options - {dir: directory for the JSON files, or null for memory}
+ * @returns {object} Index (see interface above)
+ */
+export function createListingIndex({ dir = null } = {}) {
+  const cache = new Map(); // adapterId -> {version, listings, searches}
+  const pending = new Map(); // adapterId -> last write promise
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  const fileOf = (adapterId) => path.join(dir, `${adapterId}.json`);
+
+  /** load an adapter's data on first use */
+  const dataOf = (adapterId) => {
+    if (!ADAPTER_ID_RE.test(String(adapterId))) throw new Error(`listingIndex: invalid adapter id "${adapterId}"`);
+    if (cache.has(adapterId)) return cache.get(adapterId);
+
+    let data = { version: VERSION, listings: {}, searches: {} };
+    if (dir && fs.existsSync(fileOf(adapterId))) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(fileOf(adapterId), "utf8"));
+        if (parsed?.version === VERSION) data = { ...data, ...parsed };
+      } catch (e) {
+        console.error(`[index] Cannot read ${adapterId}.json: ${e.message}`);
+      }
+    }
+    cache.set(adapterId, data);
+    return data;
+  };
+
+  return {
+    driver: dir ? "file" : "memory",
+    dir,
+
+    get(adapterId, listingId) {
+      if (!listingId) return null;
+      return dataOf(adapterId).listings[listingId] || null;
+    },
+
+    record(adapterId, listingId, entry) {
+      if (!listingId) return null;
+      const listings = dataOf(adapterId).listings;
+      const prev = listings[listingId];
+      const now = new Date().toISOString();
+      listings[listingId] = {
+        ...entry,
+        first_seen: prev?.first_seen || now,
+        last_seen: now,
+        disappeared_at: null,
+        history: prev?.history || [],
+      };
+      return listings[listingId];
+    },
+
+    searchIds(adapterId, searchKey) {
+      return dataOf(adapterId).searches[searchKey]?.ids || [];
+    },
+
+    setSearch(adapterId, searchKey, ids) {
+      dataOf(adapterId).searches[searchKey] = { ids: [...ids], updatedAt: new Date().toISOString() };
+    },
+
+    markDisappeared(adapterId, ids) {
+      const listings = dataOf(adapterId).listings;
+      const now = new Date().toISOString();
+      for (const id of ids) {
+        if (!listings[id] || listings[id].disappeared_at) continue;
+        listings[id].disappeared_at = now;
+        this.addSnapshot(adapterId, id, { ts: now, status: "disappeared" });
+      }
+    },
+
+    addSnapshot(adapterId, listingId, snap) {
+      const entry = dataOf(adapterId).listings[listingId];
+      if (!entry) return;
+      entry.history = [...(entry.history || []), snap].slice(-MAX_HISTORY);
+    },
+
+    flush(adapterId) {
+      if (!dir || !cache.has(adapterId)) return Promise.resolve();
+      const snapshot = JSON.stringify(cache.get(adapterId));
+      const prev = pending.get(adapterId) || Promise.resolve();
+      const next = prev.then(async () => {
+        const tmp = `${fileOf(adapterId)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, fileOf(adapterId));
+      }).catch((e) => {
+        console.error(`[index] Cannot write ${adapterId}.json: ${e.message}`);
+      });
+      pending.set(adapterId, next);
+      return next;
+    },
+
+    stats() {
+      const adapters = {};
+      for (const [id, data] of cache) {
+        adapters[id] = { listings: Object.keys(data.listings).length, searches: Object.keys(data.searches).length };
+      }
+      return { driver: dir ? "file" : "memory", adapters };
+    },
+  };
+}
@@ -0,0 +1,324 @@
+// ============================================
+// 🚦 RATE LIMITER (POLITE CRAWLING)
+// ============================================
+//
+// One limiter is shared by every worker of every job, so the total
+// request rate to a host stays bounded no matter how many jobs run.
+//
+// Per host:
+//   - token bucket: ratePerSec tokens/s, up to `burst` requests at once
+//   - robots.txt: Disallow/Allow for our agent (or *), Crawl-delay caps the rate
+//   - jitter: a random extra delay before each navigation
+//   - backoff: HTTP 429/503 halves the rate (down to 1/16) and pauses the
+//     host for Retry-After or backoffMs × penalty; successes slowly restore it
+//
+// Defaults come from SCRAPE_RATE_PER_SEC, SCRAPE_RATE_BURST, SCRAPE_JITTER_MS
+// ("min-max"), SCRAPE_RESPECT_ROBOTS and SCRAPE_ROBOTS_AGENT;
+// sharedRateLimiter() is the process-wide instance scrapeListings uses
+// unless opts.rateLimiter is given.
+//
+// Interface:
+//   session()               - per-job view with the same acquire/report plus summary()
+//   acquire(url, signal)    - wait for a slot; throws code ROBOTS_DISALLOWED when robots.txt forbids url,
+//                             CANCELLED (slot given back) when signal aborts while waiting
+//   whenReady(url, signal)  - wait out a backoff pause without taking a slot (returns early on abort)
+//   report(url, status, retryAfter) - feed back the HTTP status of a navigation
+//   stats()                 - per-host state for /api/health
+//
+// ============================================
+
+import { sleep } from "./common.js";
+import { scrapeError } from "./errors.js";
+
+const RATE_PER_SEC = Math.max(0.01, Number(process.env.SCRAPE_RATE_PER_SEC || 1));
+const RATE_BURST = Math.max(1, Number(process.env.SCRAPE_RATE_BURST || 3));
+const JITTER_MS = String(process.env.SCRAPE_JITTER_MS || "300-1200").split("-").map((n) => Math.max(0, Number(n) || 0));
+const RESPECT_ROBOTS = (process.env.SCRAPE_RESPECT_ROBOTS ?? "true") !== "false";
+const ROBOTS_AGENT = String(process.env.SCRAPE_ROBOTS_AGENT || "LivingInsiderScraper");
+
+const ROBOTS_TTL_MS = 60 * 60 * 1000; // robots.txt cache per origin
+const ROBOTS_TIMEOUT_MS = 10_000;
+const MAX_PENALTY = 16; // slowest rate = ratePerSec / 16
+const MAX_PAUSE_MS = 5 * 60 * 1000;
+const RECOVER_AFTER = 10; // successes before the penalty halves
+
+/**
+ * Parse robots.txt into the rule group for an agent
+ * @param {string} text - robots.txt body
+ * @param {string} agent - Our product token
+ * @returns {object} {rules: [{allow, pattern}], crawlDelayMs}
+ */
+export function parseRobots(text, agent) {
+  const groups = []; // [{agents, rules, crawlDelayMs}]
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === "user-agent") {
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [], crawlDelayMs: null }));
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (key === "allow" || key === "disallow") {
+      if (value) current.rules.push({ allow: key === "allow", pattern: value });
+    } else if (key === "crawl-delay") {
+      const s = Number(value);
+      if (Number.isFinite(s) && s > 0) current.crawlDelayMs = s * 1000;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  const group = groups.find((g) => g.agents.some((a) => a !== "*" && token.includes(a)))
+    || groups.find((g) => g.agents.includes("*"));
+  return group ? { rules: group.rules, crawlDelayMs: group.crawlDelayMs } : { rules: [], crawlDelayMs: null };
+}
+
+/** does a robots.txt path pattern (with * and $) match a path? */
+function patternMatches(pattern, pathname) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`).test(pathname);
+}
+
+/**
+ * Is a path allowed? Longest matching pattern wins, Allow wins ties.
+ * @param {Array} rules - [{allow, pattern}]
+ * @param {string} pathname - Path + query
+ * @returns {boolean}
+ */
+export function robotsAllows(rules, pathname) {
+  let best = null;
+  for (const r of rules) {
+    if (!patternMatches(r.pattern, pathname)) continue;
+    if (!best || r.pattern.length > best.pattern.length || (r.pattern.length === best.pattern.length && r.allow)) best = r;
+  }
+  return !best || best.allow;
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Create a rate limiter
+ * @param {object} options - {ratePerSec, burst, jitterMs: [min, max], respectRobots, agent, backoffMs}
+ * @returns {object} Limiter (see interface above)
+ */
+export function createRateLimiter({
+  ratePerSec = RATE_PER_SEC,
+  burst = RATE_BURST,
+  jitterMs = [JITTER_MS[0], JITTER_MS[1] ?? JITTER_MS[0]],
+  respectRobots = RESPECT_ROBOTS,
+  agent = ROBOTS_AGENT,
+  backoffMs = 30_000,
+} = {}) {
+  const hosts = new Map(); // host -> state
+  const robots = new Map(); // origin -> {at, promise}
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        tokens: burst,
+        last: Date.now(),
+        penalty: 1,
+        okStreak: 0,
+        pausedUntil: 0,
+        crawlDelayMs: null,
+        requests: 0,
+        throttled: 0,
+        robotsBlocked: 0,
+        waitedMs: 0,
+      });
+    }
+    return hosts.get(host);
+  };
+
+  /** requests per second currently allowed for a host */
+  const rateOf = (h) => {
+    let rate = ratePerSec / h.penalty;
+    if (h.crawlDelayMs) rate = Math.min(rate, 1000 / h.crawlDelayMs);
+    return rate;
+  };
+
+  const robotsFor = (url) => {
+    const origin = new URL(url).origin;
+    const cached = robots.get(origin);
+    if (cached && Date.now() - cached.at < ROBOTS_TTL_MS) return cached.promise;
+
+    // unreachable / missing robots.txt = everything allowed
+    const promise = fetch(`${origin}/robots.txt`, { signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS) })
+      .then((r) => (r.ok ? r.text() : ""))
+      .catch(() => "")
+      .then((text) => parseRobots(text, agent));
+    robots.set(origin, { at: Date.now(), promise });
+    return promise;
+  };
+
+  const limiter = {
+    async acquire(url, signal = null) {
+      const host = hostOf(url);
+      if (!host) return 0;
+      const h = hostState(host);
+      const cancelled = () => scrapeError("CANCELLED", "cancelled");
+      if (signal?.aborted) throw cancelled();
+
+      if (respectRobots) {
+        const r = await robotsFor(url);
+        h.crawlDelayMs = r.crawlDelayMs;
+        const u = new URL(url);
+        if (!robotsAllows(r.rules, `${u.pathname}${u.search}`)) {
+          h.robotsBlocked++;
+          throw scrapeError("ROBOTS_DISALLOWED", `Disallowed by robots.txt: ${url}`);
+        }
+        if (signal?.aborted) throw cancelled();
+      }
+
+      // reserve a token (may go negative = wait in line)
+      const now = Date.now();
+      const rate = rateOf(h);
+      const cap = h.crawlDelayMs ? 1 : burst;
+      h.tokens = Math.min(cap, h.tokens + ((now - h.last) / 1000) * rate);
+      h.last = now;
+      h.tokens -= 1;
+
+      const [jMin, jMax] = jitterMs;
+      const wait = Math.max(0, h.pausedUntil - now)
+        + (h.tokens < 0 ? (-h.tokens / rate) * 1000 : 0)
+        + (jMax > 0 ? jMin + Math.random() * (jMax - jMin) : 0);
+
+      h.requests++;
+      h.waitedMs += wait;
+      if (wait > 0) await sleep(wait, signal);
+      if (signal?.aborted) {
+        // cancelled in line: the request never happens, so its token goes back
+        h.tokens = Math.min(cap, h.tokens + 1);
+        h.requests--;
+        throw cancelled();
+      }
+      return wait;
+    },
+
+    async whenReady(url, signal = null) {
+      const h = hosts.get(hostOf(url));
+      const wait = h ? h.pausedUntil - Date.now() : 0;
+      if (wait > 0) await sleep(wait, signal);
+    },
+
+    report(url, status, retryAfter = null) {
+      const h = hosts.get(hostOf(url));
+      if (!h || !status) return;
+
+      if (status === 429 || status === 503) {
+        h.throttled++;
+        h.okStreak = 0;
+        h.penalty = Math.min(MAX_PENALTY, h.penalty * 2);
+        const seconds = Number(retryAfter);
+        const pause = Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : backoffMs * (h.penalty / 2);
+        h.pausedUntil = Date.now() + Math.min(MAX_PAUSE_MS, pause);
+        h.tokens = Math.min(h.tokens, 0);
+        console.log(`[rate] ${hostOf(url)} answered ${status}: pausing ${Math.round(pause / 1000)}s, rate now ${rateOf(h).toFixed(2)}/s`);
+        return;
+      }
+
+      if (status < 400 && h.penalty > 1 && ++h.okStreak >= RECOVER_AFTER) {
+        h.penalty /= 2;
+        h.okStreak = 0;
+      }
+    },
+
+    session() {
+      const startedAt = Date.now();
+      const perHost = new Map(); // host -> {requests, throttled, robots_blocked, waited_ms}
+      const count = (url) => {
+        const host = hostOf(url);
+        if (!perHost.has(host)) perHost.set(host, { requests: 0, throttled: 0, robots_blocked: 0, waited_ms: 0 });
+        return perHost.get(host);
+      };
+
+      return {
+        whenReady: limiter.whenReady,
+
+        async acquire(url, signal) {
+          const c = count(url);
+          try {
+            const waited = await limiter.acquire(url, signal);
+            c.requests++;
+            c.waited_ms += Math.round(waited);
+            return waited;
+          } catch (e) {
+            if (e.code === "ROBOTS_DISALLOWED") c.robots_blocked++;
+            throw e;
+          }
+        },
+
+        report(url, status, retryAfter) {
+          if (status === 429 || status === 503) count(url).throttled++;
+          limiter.report(url, status, retryAfter);
+        },
+
+        /** effective rate of this job, for meta.request_rate */
+        summary() {
+          const seconds = Math.max(1, (Date.now() - startedAt) / 1000);
+          const out = { requests: 0, per_minute: 0, throttled: 0, robots_blocked: 0, waited_ms: 0, hosts: {} };
+          for (const [host, c] of perHost) {
+            const h = hosts.get(host);
+            out.hosts[host] = {
+              ...c,
+              per_minute: Math.round((c.requests / seconds) * 600) / 10,
+              allowed_per_sec: h ? Math.round(rateOf(h) * 100) / 100 : null,
+              crawl_delay_ms: h?.crawlDelayMs ?? null,
+            };
+            out.requests += c.requests;
+            out.throttled += c.throttled;
+            out.robots_blocked += c.robots_blocked;
+            out.waited_ms += c.waited_ms;
+          }
+          out.per_minute = Math.round((out.requests / seconds) * 600) / 10;
+          return out;
+        },
+      };
+    },
+
+    stats() {
+      const out = {};
+      for (const [host, h] of hosts) {
+        out[host] = {
+          allowed_per_sec: Math.round(rateOf(h) * 100) / 100,
+          penalty: h.penalty,
+          paused_ms: Math.max(0, h.pausedUntil - Date.now()),
+          crawl_delay_ms: h.crawlDelayMs,
+          requests: h.requests,
+          throttled: h.throttled,
+          robots_blocked: h.robotsBlocked,
+        };
+      }
+      return { rate_per_sec: ratePerSec, burst, jitter_ms: jitterMs, respect_robots: respectRobots, hosts: out };
+    },
+  };
+
+  return limiter;
+}
+
+let shared = null;
+
+/** the process-wide limiter (created on first use) */
+export function sharedRateLimiter() {
+  if (!shared) shared = createRateLimiter();
+  return shared;
+}
@@ -0,0 +1,300 @@
+// ============================================
+// ⏰ SCHEDULER
+// ============================================
+//
+// Recurring scrapes: each schedule is a cron expression plus a
+// normalized opts payload (the same shape server.js normalizeOpts
+// produces). When a schedule is due, startJob(schedule) creates and
+// enqueues a job; if the schedule's previous job is still queued or
+// running the run is skipped instead of piling up.
+//
+// Cron: 5 fields "minute hour day-of-month month day-of-week" in server
+// local time (set TZ to change it). Supports *, lists (1,15), ranges
+// (1-5), steps (*/15, 8-18/2), month / weekday names (jan, mon) and
+// @hourly @daily @weekly @monthly @yearly. When both day fields are
+// restricted a day matches either of them (classic cron).
+//
+// Interface:
+//   list()                 - all schedules with nextRunAt (sync)
+//   get(id)                - one schedule or null (sync)
+//   create(input)          - {name, cron, opts, enabled} -> schedule (async)
+//   update(id, patch)      - same fields, all optional -> schedule or null (async)
+//   remove(id)             - true if it existed (async)
+//   start() / stop()       - begin / end checking for due schedules
+//
+// Missed runs (server down) are not caught up: next runs are computed
+// from the time the server starts.
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+const VERSION = 1;
+const TICK_MS = 15_000; // how often due schedules are checked
+const MAX_SEARCH_YEARS = 5; // give up on expressions that never match (e.g. 30 feb)
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// [name, min, max, names (index + offset = value)]
+const FIELDS = [
+  ["minute", 0, 59, null],
+  ["hour", 0, 23, null],
+  ["day of month", 1, 31, null],
+  ["month", 1, 12, MONTH_NAMES],
+  ["day of week", 0, 7, DAY_NAMES],
+];
+
+/**
+ * Parse one cron field into the set of allowed values
+ * @param {string} text - Field text
+ * @param {Array} spec - [name, min, max, names]
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(text, [name, min, max, names]) {
+  const value = (token) => {
+    const i = names ? names.indexOf(token) : -1;
+    if (i >= 0) return i + min;
+    const n = Number(token);
+    if (!/^\d+$/.test(token) || n < min || n > max) throw new Error(`Invalid cron ${name} "${token}" (${min}-${max})`);
+    return n;
+  };
+
+  const out = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${part}" in ${name}`);
+
+    let lo, hi;
+    if (range === "*") {
+      [lo, hi] = [min, max];
+    } else if (range.includes("-")) {
+      [lo, hi] = range.split("-").map(value);
+      if (lo > hi) throw new Error(`Invalid cron range "${range}" in ${name}`);
+    } else {
+      lo = value(range);
+      hi = stepText === undefined ? lo : max;
+    }
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expr - "m h dom mon dow" or a macro like @daily
+ * @returns {object} {minute, hour, dom, month, dow: Set, domAny, dowAny: boolean}
+ */
+export function parseCron(expr) {
+  const text = String(expr || "").trim().toLowerCase();
+  const parts = (MACROS[text] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expr}"`);
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0); // 7 = sunday too
+
+  return { minute, hour, dom, month, dow, domAny: parts[2] === "*", dowAny: parts[4] === "*" };
+}
+
+/**
+ * Next time a cron expression matches, strictly after `from`
+ * @param {object|string} cron - Parsed cron or expression
+ * @param {Date|number} from - Start point
+ * @returns {Date|null} Next run, or null if it never matches
+ */
+export function nextRun(cron, from = Date.now()) {
+  const c = typeof cron === "string" ? parseCron(cron) : cron;
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const dayMatches = () => {
+    const byDom = c.dom.has(d.getDate());
+    const byDow = c.dow.has(d.getDay());
+    if (c.domAny && c.dowAny) return true;
+    if (c.domAny) return byDow;
+    if (c.dowAny) return byDom;
+    return byDom || byDow;
+  };
+
+  const limit = new Date(from).getFullYear() + MAX_SEARCH_YEARS;
+  while (d.getFullYear() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0);
+    } else if (!dayMatches()) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0);
+    } else if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0);
+    } else if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+/** throw unless the expression parses and matches at least once */
+function validateCron(expr) {
+  if (!nextRun(parseCron(expr))) throw new Error(`Cron expression never matches: "${expr}"`);
+}
+
+/**
+ * Create the scheduler
+ * @param {object} options - {file: JSON path or null for memory,
+ *   startJob(schedule): jobId, isJobActive(jobId): boolean}
+ * @returns {object} Scheduler (see interface above)
+ */
+export function createScheduler({ file = null, startJob, isJobActive }) {
+  const schedules = new Map(); // id -> schedule
+  let timer = null;
+  let pending = Promise.resolve();
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      if (fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (parsed?.version === VERSION && Array.isArray(parsed.schedules)) {
+          for (const s of parsed.schedules) schedules.set(s.id, s);
+        }
+      }
+    } catch (e) {
+      console.error(`[schedule] Cannot read ${path.basename(file)}: ${e.message}`);
+    }
+  }
+
+  /** write all schedules (temp + rename), one write at a time */
+  const flush = () => {
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify({ version: VERSION, schedules: [...schedules.values()] });
+    pending = pending.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    }).catch((e) => {
+      console.error(`[schedule] Cannot write ${path.basename(file)}: ${e.message}`);
+    });
+    return pending;
+  };
+
+  const nextRunAt = (s, from = Date.now()) => {
+    if (!s.enabled) return null;
+    return nextRun(s.cron, from)?.toISOString() || null;
+  };
+
+  /** start the jobs that are due */
+  const tick = () => {
+    const now = Date.now();
+    let changed = false;
+
+    for (const s of schedules.values()) {
+      if (!s.enabled || !s.nextRunAt || Date.parse(s.nextRunAt) > now) continue;
+
+      if (s.lastJobId && isJobActive(s.lastJobId)) {
+        s.lastSkippedAt = new Date(now).toISOString();
+        s.skippedRuns = (s.skippedRuns || 0) + 1;
+        console.log(`[schedule] ${s.name}: previous job ${s.lastJobId.slice(0, 8)} still running, skipped`);
+      } else {
+        try {
+          s.lastJobId = startJob(s);
+          s.lastRunAt = new Date(now).toISOString();
+          s.lastError = null;
+          console.log(`[schedule] ${s.name}: started job ${s.lastJobId.slice(0, 8)}`);
+        } catch (e) {
+          s.lastError = String(e?.message || e);
+          console.error(`[schedule] ${s.name}: ${s.lastError}`);
+        }
+      }
+      s.nextRunAt = nextRunAt(s, now);
+      changed = true;
+    }
+
+    if (changed) flush();
+  };
+
+  return {
+    driver: file ? "file" : "memory",
+
+    list() {
+      return [...schedules.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    get(id) {
+      return schedules.get(id) || null;
+    },
+
+    async create({ name, cron, opts, enabled = true }) {
+      validateCron(cron);
+      const now = new Date().toISOString();
+      const s = {
+        id: uuidv4(),
+        name: String(name || "").trim() || cron,
+        cron: String(cron).trim(),
+        opts,
+        enabled: Boolean(enabled),
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        lastJobId: null,
+        lastSkippedAt: null,
+        skippedRuns: 0,
+        lastError: null,
+      };
+      s.nextRunAt = nextRunAt(s);
+      schedules.set(s.id, s);
+      await flush();
+      return s;
+    },
+
+    async update(id, patch) {
+      const s = schedules.get(id);
+      if (!s) return null;
+      if (patch.cron !== undefined) {
+        validateCron(patch.cron);
+        s.cron = String(patch.cron).trim();
+      }
+      if (patch.name !== undefined) s.name = String(patch.name || "").trim() || s.cron;
+      if (patch.opts !== undefined) s.opts = patch.opts;
+      if (patch.enabled !== undefined) s.enabled = Boolean(patch.enabled);
+      s.updatedAt = new Date().toISOString();
+      s.nextRunAt = nextRunAt(s);
+      await flush();
+      return s;
+    },
+
+    async remove(id) {
+      const existed = schedules.delete(id);
+      if (existed) await flush();
+      return existed;
+    },
+
+    start() {
+      if (timer) return;
+      // runs missed while the server was down are not caught up
+      for (const s of schedules.values()) s.nextRunAt = nextRunAt(s);
+      timer = setInterval(tick, TICK_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -4,12 +4,13 @@
 // 
 // 📋 DESCRIPTION:
 //   Production-ready AI-powered web scraper for LivingInsider.com
-//   Extracts real estate listings with 76 data points including:
+//   Extracts real estate listings with 80 data points including:
 //   - Basic property info (price, size, rooms, etc.)
 //   - Nearby places (BTS, hospitals, universities, malls)
 //   - Facilities and amenities (pool, gym, parking, etc.)
 //   - AI-powered quality and investment scores
 //   - Dashboard-ready analytics
+//   - Price / status history across runs (with a listing index)
 //
 // 🧠 AI FEATURES:
 //   - Self-learning source selection
@@ -20,7 +21,7 @@
 //   - Investment scoring (0-100)
 //
 // 📊 OUTPUT:
-//   - 76 columns per listing
+//   - 80 columns per listing
 //   - JSON arrays for nearby places and facilities
 //   - Boolean flags for quick filtering
 //   - 9 AI-powered scores
@@ -28,12 +29,33 @@
 // 🎯 USAGE:
 //   import scrapeListings from './scraper.js';
 //   const { rows, meta, insights } = await scrapeListings({ maxResults: 50 });
+//   const { rows } = await scrapeListings({ startUrl: 'https://www.livinginsider.com/searchword/...', maxPages: 3 });
+//   Callbacks: onProgress({stage, message, meta}), onRow(row) for each finished row
+//   Alerts:    opts.alertRules (see alerts.js) + onAlert({rule, change, row}) for each matching row
+//   Cancel:    pass an AbortSignal as opts.signal
+//   Offline:   import { parseDetailHtml } from './scraper.js'; await parseDetailHtml(html, { url })
+//              (collectDetailLinksFromHtml / collectListRowsFromHtml for saved search-result pages)
+//   Debug:     opts.provenance adds row._provenance (which selector filled each field, see selectors.js)
+//   Increment: pass opts.listingIndex (see listingIndex.js) + opts.incremental to skip unchanged listings
+//   Resume:    onCheckpoint(checkpoint) reports progress during the detail phase; pass
+//              opts.resume = {checkpoint, rows} to continue a run without re-parsing finished links
+//   URL list:  opts.detailUrls parses just those detail pages (URLs or bare listing ids; no list
+//              phase, no sampling); opts.detailTimeoutMs / opts.concurrency override the env defaults
+//   Learning:  pass opts.learning (see learningStore.js) to keep source scores between runs
+//   Shared:    pass opts.browserPool (see browserPool.js) to borrow contexts instead of launching Chromium
+//   Pacing:    every navigation goes through a per-host rate limiter (rateLimiter.js, robots.txt aware),
+//              the process-wide one unless opts.rateLimiter is given
+//   Blocks:    block / rate-limit pages pause the job and set meta.degraded (see blockDetector.js)
+//   Errors:    meta.errors entries carry a code, stage, attempt and duration; meta.error_stats
+//              counts them per code / stage / source (see errors.js)
+//   Sites:     the startUrl hostname picks the site adapter (see adapters/index.js), or pass opts.adapter
 //
 // ⚙️  CONFIG:
 //   Set via environment variables (see .env file)
 //
 // 🔧 MAINTENANCE:
-//   - Update selectors if website HTML changes
+//   - Update selectors in selectors.js (or SCRAPE_SELECTORS_FILE) if website HTML changes
+//   - Site-specific code (URLs, links, contact button) lives in adapters/<site>.js
 //   - Adjust scoring algorithms as needed
 //   - Monitor AI learning performance
 //
@@ -46,6 +68,24 @@
 import fs from "fs";
 import path from "path";
 import { chromium } from "playwright";
+import {
+  NAV_TIMEOUT_MS,
+  sleep,
+  log,
+  cleanText,
+  parseNumberLike,
+  nowISO,
+  injectPerfCSS,
+  robustGoto,
+  dismissOverlays,
+} from "./common.js";
+import { resolveAdapter, normalizeDetailTargets } from "./adapters/index.js";
+import { normalizeStrategy, selectArms, armBounds, sourceReward } from "./bandit.js";
+import { hashOf, snapshotOf, historyFields } from "./listingIndex.js";
+import { matchRules } from "./alerts.js";
+import { sharedRateLimiter } from "./rateLimiter.js";
+import { createBlockGuard } from "./blockDetector.js";
+import { scrapeError, errorCode, errorRecord, summarizeErrors, PERMANENT_CODES } from "./errors.js";
 
 // ============================================
 // ⚙️  CONFIGURATION
@@ -53,13 +93,12 @@ import { chromium } from "playwright";
 
 // Browser Settings
 const SCRAPE_HEADLESS = (process.env.SCRAPE_HEADLESS ?? "true") !== "false";
-const DEBUG_SCRAPER = (process.env.DEBUG_SCRAPER ?? "true") === "true";
 
 // Timeout Settings (in milliseconds)
-const NAV_TIMEOUT_MS = Number(process.env.SCRAPE_NAV_TIMEOUT || 60_000);      // Navigation timeout
 const ACTION_TIMEOUT_MS = Number(process.env.SCRAPE_ACTION_TIMEOUT || 12_000); // Action timeout
 const DETAIL_TIMEOUT_MS = Number(process.env.SCRAPE_DETAIL_TIMEOUT_MS || 45_000); // Detail page timeout
 const DETAIL_RETRIES = Number(process.env.SCRAPE_DETAIL_RETRIES || 3);         // Retry attempts
+const LIST_BLOCK_RETRIES = 2;                                                   // Retries of a blocked result page
 
 // Scrolling Settings
 const LIST_SCROLL_ROUNDS = Number(process.env.SCRAPE_LIST_SCROLL_ROUNDS || 25);      // Scroll iterations
@@ -69,11 +108,14 @@ const LIST_WAIT_AFTER_SCROLL_MS = Number(process.env.SCRAPE_WAIT_AFTER_SCROLL ||
 
 // Performance Settings
 const MAX_CONCURRENCY = Math.max(1, Number(process.env.SCRAPE_MAX_CONCURRENCY || 2)); // Concurrent workers
-const MAX_IMAGES = Math.max(0, Number(process.env.SCRAPE_MAX_IMAGES || 20));          // Max images per listing
 const PAGE_RECYCLE_AFTER = Number(process.env.PAGE_RECYCLE_AFTER || 5);               // Recycle page after N jobs
 
+// Learning Settings (what AILearningEngine keeps between runs)
+const LEARNING_MAX_PRICE_SAMPLES = 1000; // Newest prices kept for anomaly detection
+const LEARNING_MAX_SCROLL_RUNS = 20;     // Newest scroll results kept
+
 // ============================================
-// 📊 OUTPUT SCHEMA (76 COLUMNS)
+// 📊 OUTPUT SCHEMA (80 COLUMNS)
 // ============================================
 
 const SCHEMA_KEYS = [
@@ -181,9 +223,15 @@ const SCHEMA_KEYS = [
   "facility_score",       // Facility quality (0-100)
   "investment_score",     // Investment potential (0-100)
   "value_score",          // Overall value (0-100)
+
+  // ===== HISTORY (4 columns, filled when a listing index is used) =====
+  "first_seen",           // First time any job saw the listing (ISO)
+  "last_seen",            // Latest time a job saw it (ISO)
+  "days_on_market",       // Days from posting (or first_seen) until last seen / disappeared
+  "price_change_pct",     // Latest vs first recorded price (%)
 ];
 
-// Total: 76 columns
+// Total: 80 columns
 
 // ============================================
 // 🧠 AI LEARNING ENGINE
@@ -233,7 +281,7 @@ class AILearningEngine {
   /**
    * Record performance metrics for a source
    * @param {string} sourceId - Unique source identifier
-   * @param {object} metrics - {success: bool, linksFound: number, avgQuality: number}
+   * @param {object} metrics - {success: bool, linksFound: new unique links, avgQuality: 0-1 or null if no rows}
    */
   recordSourcePerformance(sourceId, metrics) {
     if (!this.sourcePerformance.has(sourceId)) {
@@ -253,8 +301,17 @@ class AILearningEngine {
     perf.totalLinks += metrics.linksFound || 0;
     perf.avgLinksFound = perf.totalLinks / perf.attempts;
     
-    // Update average quality using running average
-    perf.avgQuality = ((perf.avgQuality * (perf.attempts - 1)) + (metrics.avgQuality || 0)) / perf.attempts;
+    // Update average quality using running average (runs that produced rows only)
+    if (metrics.avgQuality !== null && metrics.avgQuality !== undefined) {
+      perf.qualityRuns = (perf.qualityRuns || 0) + 1;
+      perf.avgQuality = perf.avgQuality + (metrics.avgQuality - perf.avgQuality) / perf.qualityRuns;
+    }
+
+    // Bandit arm statistics (see bandit.js)
+    const reward = sourceReward(metrics);
+    perf.pulls = (perf.pulls || 0) + 1;
+    perf.rewardSum = (perf.rewardSum || 0) + reward;
+    perf.lastReward = reward;
     
     // Calculate composite score
     // - Success rate: 40%
@@ -266,7 +323,7 @@ class AILearningEngine {
       perf.avgQuality * 0.3
     );
 
-    log(`📊 Source "${sourceId}" score: ${(perf.score * 100).toFixed(1)}%`);
+    log(`📊 Source "${sourceId}" score: ${(perf.score * 100).toFixed(1)}% reward: ${reward.toFixed(3)}`);
   }
 
   /**
@@ -465,6 +522,50 @@ class AILearningEngine {
 
     return insights;
   }
+
+  /**
+   * Snapshot what is worth keeping between runs (see learningStore.js)
+   * Duplicate signatures are per run and are not included.
+   * @returns {object} JSON-safe state
+   */
+  exportState() {
+    const values = this.priceStats.values.slice(-LEARNING_MAX_PRICE_SAMPLES);
+    return {
+      sourcePerformance: Object.fromEntries(this.sourcePerformance),
+      priceStats: {
+        min: values.length ? Math.min(...values) : null,
+        max: values.length ? Math.max(...values) : 0,
+        sum: values.reduce((s, v) => s + v, 0),
+        count: values.length,
+        values,
+      },
+      categoryStats: Object.fromEntries(
+        [...this.categoryStats].map(([cat, s]) => [cat, { ...s, min: s.min === Infinity ? null : s.min }])
+      ),
+      scrollEffectiveness: this.scrollEffectiveness.slice(-LEARNING_MAX_SCROLL_RUNS),
+    };
+  }
+
+  /**
+   * Restore a state saved by exportState
+   * @param {object} state - Stored state
+   */
+  importState(state) {
+    if (!state) return;
+    this.sourcePerformance = new Map(Object.entries(state.sourcePerformance || {}));
+    const p = state.priceStats || {};
+    this.priceStats = {
+      min: p.min ?? Infinity,
+      max: p.max || 0,
+      sum: p.sum || 0,
+      count: p.count || 0,
+      values: Array.isArray(p.values) ? [...p.values] : [],
+    };
+    this.categoryStats = new Map(
+      Object.entries(state.categoryStats || {}).map(([cat, s]) => [cat, { ...s, min: s.min ?? Infinity }])
+    );
+    this.scrollEffectiveness = Array.isArray(state.scrollEffectiveness) ? [...state.scrollEffectiveness] : [];
+  }
 }
 
 // ============================================
@@ -614,61 +715,30 @@ class QualityScorer {
 }
 
 // ============================================
-// 🎯 SEARCH SOURCES CONFIGURATION
+// 🎯 SEARCH SOURCES
 // ============================================
 //
-// Defines categories and locations for multi-source scraping
-// Each combination creates a unique search URL
+// The adapter lists the search URLs it knows (adapter.searchSources);
+// a bandit strategy (bandit.js, opts.sourceStrategy) picks which of them
+// to visit.
 //
 // ============================================
 
-const CATEGORIES = [
-  { id: "condo", name: "คอนโด", url_part: "คอนโด", weight: 1.2 },
-  { id: "house", name: "บ้านเดี่ยว", url_part: "บ้าน", weight: 1.0 },
-  { id: "townhouse", name: "ทาวน์เฮ้าส์", url_part: "ทาวน์เฮ้าส์", weight: 0.9 },
-  { id: "land", name: "ที่ดิน", url_part: "ที่ดิน", weight: 0.8 },
-  { id: "commercial", name: "อาคารพาณิชย์", url_part: "อาคารพาณิชย์", weight: 0.7 },
-];
-
-const LOCATIONS_BANGKOK = [
-  { id: "bangkok", name: "กรุงเทพมหานคร", weight: 1.3 },
-  { id: "nonthaburi", name: "นนทบุรี", weight: 1.0 },
-  { id: "pathumthani", name: "ปทุมธานี", weight: 0.9 },
-  { id: "samutprakan", name: "สมุทรปราการ", weight: 0.9 },
-  { id: "samutsakorn", name: "สมุทรสาคร", weight: 0.7 },
-];
-
-/**
- * Generate all possible search URL combinations
- * @returns {Array} Array of source objects
- */
-function generateSearchURLs() {
-  const urls = [];
-  for (const cat of CATEGORIES) {
-    for (const loc of LOCATIONS_BANGKOK) {
-      const keyword = encodeURIComponent(`${cat.url_part} ${loc.name}`);
-      const url = `https://www.livinginsider.com/searchword/all/Buysell/1/${keyword}.html`;
-      urls.push({
-        id: `${cat.id}_${loc.id}`,
-        url,
-        category: cat.name,
-        location: loc.name,
-        name: `${cat.name} ใน ${loc.name}`,
-        weight: cat.weight * loc.weight, // Composite weight
-      });
-    }
-  }
-  return urls; // 5 categories × 5 locations = 25 sources
-}
-
 /**
- * Select sources intelligently using AI or weighted random
+ * Select sources with a bandit strategy, or the original weighted random
+ * @param {object} adapter - Site adapter (provides searchSources)
  * @param {number} targetCount - Target number of listings
  * @param {AILearningEngine} aiEngine - AI engine instance
+ * @param {string} strategy - One of SOURCE_STRATEGIES (bandit.js)
  * @returns {Array} Selected sources
  */
-function selectSmartSources(targetCount, aiEngine) {
-  const allSources = generateSearchURLs();
+function selectSmartSources(adapter, targetCount, aiEngine, strategy = "weighted_random") {
+  const allSources = adapter.searchSources();
+
+  if (strategy !== "weighted_random") {
+    log(`🎰 Using ${strategy} bandit source selection`);
+    return selectArms(strategy, allSources, aiEngine.sourcePerformance, Math.max(Math.ceil(targetCount / 10), 3));
+  }
   
   // Use AI if we have learning data
   if (aiEngine && aiEngine.sourcePerformance.size > 0) {
@@ -685,39 +755,175 @@ function selectSmartSources(targetCount, aiEngine) {
   return weighted.slice(0, needed);
 }
 
+/**
+ * Build the source for a user-supplied start URL
+ * @param {string} startUrl - Search URL pasted by the user
+ * @returns {object} Source object (same shape as adapter.searchSources() items)
+ */
+function sourceFromStartUrl(startUrl) {
+  let id = "start_url";
+  try { id = `start:${decodeURIComponent(new URL(startUrl).pathname)}`; } catch {}
+  return { id, url: startUrl, category: "", location: "", name: startUrl, weight: 1 };
+}
+
 // ============================================
-// 🛠️ UTILITY FUNCTIONS
+// 🔎 SEARCH FILTERS
+// ============================================
+//
+// Filters are applied twice:
+// 1. In the search URL, where the site has a path segment for it
+//    (adapter.applyFilters, e.g. deal type, category, keyword slug)
+// 2. On parsed rows, so anything the URL could not express
+//    (price range, keyword in description) is still enforced
+//
 // ============================================
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Form category -> substrings accepted in row.category
+const CATEGORY_ALIASES = {
+  "บ้าน": ["บ้าน"],
+  "ทาวน์โฮม": ["ทาวน์"],
+  "อพาร์ทเม้นต์": ["อพาร์ท"],
+  "สำนักงาน": ["สำนักงาน", "ออฟฟิศ"],
+  "ร้านค้า": ["ร้าน", "อาคารพาณิชย์"],
+};
 
-function log(...args) { 
-  if (DEBUG_SCRAPER) console.log("[scraper]", ...args); 
+/**
+ * Normalize filter options coming from the form
+ * @param {object} opts - Scrape options
+ * @returns {object} {dealType, category, keyword, priceMin, priceMax}
+ */
+function normalizeFilters(opts = {}) {
+  const num = (v) => {
+    const n = parseNumberLike(v);
+    return n !== null && n > 0 ? n : null;
+  };
+  const dealType = cleanText(opts.dealType);
+  return {
+    dealType: dealType === "ให้เช่า" ? "เช่า" : dealType,
+    category: cleanText(opts.category),
+    keyword: cleanText(opts.keyword),
+    priceMin: num(opts.priceMin),
+    priceMax: num(opts.priceMax),
+  };
 }
 
-function cleanText(s) { 
-  return String(s ?? "").replace(/\s+/g, " ").trim(); 
+function hasFilters(filters) {
+  return Boolean(filters.dealType || filters.category || filters.keyword || filters.priceMin || filters.priceMax);
 }
 
-function parseNumberLike(s) {
-  if (s === null || s === undefined) return null;
-  const txt = String(s).replace(/,/g, "");
-  const m = txt.match(/-?\d+(?:\.\d+)?/g);
-  if (!m) return null;
-  const n = Number(m.join(""));
-  return Number.isFinite(n) ? n : null;
+/**
+ * Check a parsed row against the filters
+ * Deal type and category only drop rows when the row has a value
+ * (badge extraction is best-effort); rows without a price are dropped
+ * when a price bound is set.
+ * @param {object} row - Parsed row
+ * @param {object} filters - Normalized filters
+ * @returns {string|null} Name of the failing filter, or null if the row passes
+ */
+function rowFilterFailure(row, filters) {
+  if (filters.dealType && row.deal_type && row.deal_type !== filters.dealType) return "dealType";
+
+  if (filters.category && row.category) {
+    const accepted = CATEGORY_ALIASES[filters.category] || [filters.category];
+    if (!accepted.some((a) => row.category.includes(a))) return "category";
+  }
+
+  if (filters.keyword) {
+    const haystack = [row.listing_title, row.description_text, row.project_name].join(" ").toLowerCase();
+    if (!haystack.includes(filters.keyword.toLowerCase())) return "keyword";
+  }
+
+  if (filters.priceMin || filters.priceMax) {
+    const price = row.price_value;
+    if (!price) return "price";
+    if (filters.priceMin && price < filters.priceMin) return "price";
+    if (filters.priceMax && price > filters.priceMax) return "price";
+  }
+
+  return null;
 }
 
-function absUrl(base, href) {
-  if (!href) return "";
-  try {
-    if (/^https?:\/\//i.test(href)) return href;
-    return new URL(href, base).toString();
-  } catch { return ""; }
+// ============================================
+// 🎲 SYSTEMATIC SAMPLING
+// ============================================
+//
+// sampleEvery = N keeps every Nth collected link, starting at an
+// offset in [0, N) drawn from a seeded PRNG. The seed is stored in
+// meta so the same sample can be drawn again.
+//
+// ============================================
+
+/**
+ * Turn a user-supplied seed (number or any string) into a 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number|null} Integer seed, or null if none was given
+ */
+function normalizeSeed(seed) {
+  if (seed === null || seed === undefined || String(seed).trim() === "") return null;
+  const n = Number(seed);
+  if (Number.isInteger(n)) return n >>> 0;
+  let h = 2166136261; // FNV-1a
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
-function nowISO() { 
-  return new Date().toISOString(); 
+/**
+ * Take every Nth item starting from a seeded offset
+ * @param {Array} items - Items in collection order
+ * @param {number} every - Step (1 = keep all)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {{sample: Array, offset: number}} Sampled items and offset used
+ */
+function systematicSample(items, every, seed) {
+  const step = Math.max(1, Math.trunc(every) || 1);
+  const offset = step > 1 ? Math.floor(seededRandom(seed)() * step) : 0;
+  const sample = [];
+  for (let i = offset; i < items.length; i += step) sample.push(items[i]);
+  return { sample, offset };
+}
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Copy a row into SCHEMA_KEYS order (missing keys -> null)
+ * @param {object} r - Row
+ * @returns {object} Normalized row (keeps _provenance when present)
+ */
+function normalizeRow(r) {
+  const o = {};
+  for (const k of SCHEMA_KEYS) o[k] = r?.[k] ?? null;
+  if (r?._provenance) o._provenance = r._provenance;
+  return o;
+}
+
+/**
+ * Score and normalize a raw adapter row
+ * @param {object} raw - Row from adapter.parseDetail / rowFromListCard
+ * @returns {object} Normalized row with dashboard scores
+ */
+function finalizeRow(raw) {
+  return normalizeRow(applyDashboardScores(raw));
 }
 
 function emitProgress(opts, payload) {
@@ -726,21 +932,46 @@ function emitProgress(opts, payload) {
   } catch {}
 }
 
+function emitRow(opts, row) {
+  try {
+    if (typeof opts?.onRow === "function") opts.onRow(row);
+  } catch {}
+}
+
+function emitAlert(opts, alert) {
+  try {
+    if (typeof opts?.onAlert === "function") opts.onAlert(alert);
+  } catch {}
+}
+
+// Checkpoint: {version, savedAt, sampled, finished, sourceResults, linkSource, meta}.
+// Only per-run data: rows come from onRow, and a resumed run loads the learning
+// state fresh so it does not overwrite what other jobs saved in between.
+const CHECKPOINT_VERSION = 1;
+// At most one checkpoint per interval while links finish (each one copies meta);
+// one more is always saved when the detail phase ends.
+// Links finished after the last checkpoint are parsed again on resume and
+// dropped as duplicates of the rows the caller already has.
+const CHECKPOINT_INTERVAL_MS = Math.max(0, Number(process.env.SCRAPE_CHECKPOINT_INTERVAL_MS || 5000));
+
+function emitCheckpoint(opts, checkpoint) {
+  try {
+    if (typeof opts?.onCheckpoint === "function") opts.onCheckpoint(checkpoint);
+  } catch {}
+}
+
 function ensureDebugDir() {
   const dir = path.join(process.cwd(), "debug");
   try { fs.mkdirSync(dir, { recursive: true }); } catch {}
   return dir;
 }
 
-function thaiDateToISO(text) {
-  const m = String(text || "").match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
-  if (!m) return null;
-  const dd = Number(m[1]), mm = Number(m[2]);
-  let yy = Number(m[3]);
-  if (yy >= 2400) yy = yy - 543; // Convert Buddhist year to Gregorian
-  if (!dd || !mm || !yy) return null;
-  const iso = new Date(Date.UTC(yy, mm - 1, dd, 0, 0, 0));
-  return Number.isNaN(iso.getTime()) ? null : iso.toISOString().slice(0, 10);
+// preferFastMode values: route-blocking level, or list_only to skip detail pages
+const FETCH_MODES = ["auto", "fast", "full", "list_only"];
+
+function normalizeMode(mode) {
+  const m = String(mode || "auto").toLowerCase();
+  return FETCH_MODES.includes(m) ? m : "auto";
 }
 
 function makeRouteHandler(mode = "auto") {
@@ -767,40 +998,6 @@ function makeRouteHandler(mode = "auto") {
   };
 }
 
-async function injectPerfCSS(page) {
-  await page.addStyleTag({
-    content: `*, *::before, *::after { animation-duration: 0.001s !important; transition-duration: 0.001s !important; }`
-  }).catch(() => {});
-}
-
-async function robustGoto(page, url, { timeout = NAV_TIMEOUT_MS, waitUntil = "domcontentloaded", retries = 2 } = {}) {
-  let lastErr = null;
-  for (let i = 0; i <= retries; i++) {
-    try {
-      await page.goto(url, { timeout, waitUntil });
-      return;
-    } catch (e) {
-      lastErr = e;
-      await sleep(e.message.includes("crash") ? 2000 + i * 1000 : 450 + i * 700);
-    }
-  }
-  throw lastErr || new Error("goto failed");
-}
-
-async function dismissOverlays(page) {
-  await page.keyboard.press("Escape").catch(() => {});
-  const selectors = ['button:has-text("ยอมรับ")', 'button:has-text("ตกลง")', ".swal2-close", ".close"];
-  for (const sel of selectors) {
-    try {
-      const loc = page.locator(sel).first();
-      if ((await loc.count()) > 0) {
-        await loc.click({ timeout: 900 }).catch(() => {});
-        await page.waitForTimeout(120);
-      }
-    } catch {}
-  }
-}
-
 async function autoScrollRobust(page, rounds = LIST_SCROLL_ROUNDS, step = LIST_SCROLL_STEP, delayMs = LIST_STEP_DELAY_MS) {
   let lastH = 0, stableCount = 0;
   for (let i = 0; i < rounds; i++) {
@@ -816,694 +1013,102 @@ async function autoScrollRobust(page, rounds = LIST_SCROLL_ROUNDS, step = LIST_S
   await page.waitForTimeout(LIST_WAIT_AFTER_SCROLL_MS);
 }
 
-function isLivingDetailUrl(u) {
-  try {
-    const x = new URL(u);
-    return x.hostname.includes("livinginsider.com") && 
-           x.pathname.startsWith("/livingdetail/") &&
-           /^\/livingdetail\/(\d{4,})\//.test(x.pathname);
-  } catch { return false; }
-}
+// ============================================
+// 📊 DASHBOARD SCORING FUNCTIONS
+// ============================================
 
-async function collectDetailLinksFromList(page) {
-  const origin = new URL(page.url()).origin, out = new Set();
-  const hrefs = await page.$$eval("a[href]", (as) => as.map((a) => a.getAttribute("href") || "")).catch(() => []);
-  for (const h of hrefs) {
-    const u = h.startsWith("http") ? h : absUrl(origin, h);
-    if (u && isLivingDetailUrl(u)) out.add(u);
-  }
-  return [...out];
+/**
+ * Calculate walkability score based on BTS distance
+ * @param {number} nearestBtsDist - Distance to nearest BTS (km)
+ * @returns {number} Score 0-100
+ */
+function calculateWalkabilityScore(nearestBtsDist) {
+  if (!nearestBtsDist) return 0;
+  if (nearestBtsDist <= 0.3) return 100; // < 300m = perfect
+  if (nearestBtsDist <= 0.5) return 90;  // < 500m = excellent
+  if (nearestBtsDist <= 0.8) return 75;  // < 800m = good
+  if (nearestBtsDist <= 1.2) return 60;  // < 1.2km = ok
+  if (nearestBtsDist <= 2.0) return 40;  // < 2km = fair
+  return 20; // > 2km = poor
 }
 
-
-async function clickContactButtons(page) {
-  // ✅ โฟกัสเฉพาะปุ่มโทรศัพท์ LivingInsider ตาม HTML ที่คุณเจอ
-  const phoneBtnSelectors = [
-    // div ปุ่มเขียวที่มีไอคอน tel
-    'div.ownCont-active.ch-lightgreen:has(img[alt="tel"])',
-    'div.ownCont-active:has(img[alt="tel"])',
-    'div.ch-lightgreen:has(img[alt="tel"])',
-    'img[alt="tel"]',
-  ];
-
-  // 1) พยายามคลิกปุ่มโทรศัพท์
-  for (const sel of phoneBtnSelectors) {
-    try {
-      const loc = page.locator(sel).first();
-      if ((await loc.count()) > 0) {
-        await loc.scrollIntoViewIfNeeded().catch(() => {});
-        await loc.click({ timeout: 3000 }).catch(() => {});
-        // 2) รอเบอร์ใน modal โผล่
-        await page.waitForSelector("#phone_number_modal_show", { timeout: 8000 }).catch(() => {});
-        return true;
-      }
-    } catch {}
-  }
-
-  // fallback: ถ้าหาปุ่มแบบข้างบนไม่เจอ ลองคลิก text "ดูเบอร์" เผื่อมี
-  try {
-    const t = page.locator('text=ดูเบอร์').first();
-    if ((await t.count()) > 0) {
-      await t.click({ timeout: 3000 }).catch(() => {});
-      await page.waitForSelector("#phone_number_modal_show", { timeout: 8000 }).catch(() => {});
-      return true;
-    }
-  } catch {}
-
-  return false;
+/**
+ * Calculate location score based on nearby amenities
+ * @param {number} nearestBts - Distance to BTS
+ * @param {number} nearestMall - Distance to mall
+ * @param {number} nearestHospital - Distance to hospital
+ * @returns {number} Score 0-100
+ */
+function calculateLocationScore(nearestBts, nearestMall, nearestHospital) {
+  let score = 0;
+  
+  // BTS distance (40% weight)
+  if (nearestBts <= 0.5) score += 40;
+  else if (nearestBts <= 1.0) score += 30;
+  else if (nearestBts <= 2.0) score += 15;
+  
+  // Mall distance (30% weight)
+  if (nearestMall && nearestMall <= 1.0) score += 30;
+  else if (nearestMall && nearestMall <= 2.0) score += 20;
+  else if (nearestMall && nearestMall <= 3.0) score += 10;
+  
+  // Hospital distance (30% weight)
+  if (nearestHospital && nearestHospital <= 1.0) score += 30;
+  else if (nearestHospital && nearestHospital <= 2.0) score += 20;
+  else if (nearestHospital && nearestHospital <= 3.0) score += 10;
+  
+  return Math.min(score, 100);
 }
 
-async function parseDetail(page, url) {
-  await robustGoto(page, url, { retries: 2 });
-  await page.waitForTimeout(300);
-  await injectPerfCSS(page);
-  await dismissOverlays(page);
-  try {
-  await clickContactButtons(page);
-  await page.waitForTimeout(600);
-} catch {}
-
-
-  // ============================================
-  // 🔍 BROWSER-SIDE EXTRACTION
-  // ============================================
-  // This runs inside the browser for best performance
-  // All selectors verified against actual HTML structure
-  // ============================================
-
-  const data = await Promise.race([
-    page.evaluate(() => {
-      // === Helper Functions ===
-      const txt = (el) => (el?.textContent || "").replace(/\s+/g, " ").trim();
-      const q = (sel) => document.querySelector(sel);
-      const qa = (sel) => Array.from(document.querySelectorAll(sel));
-      
-      const isJunkImage = (src) => {
-        if (!src) return true;
-        const lower = src.toLowerCase();
-        return lower.includes('logo') || lower.includes('flag_') || 
-               lower.includes('no-user') || lower.includes('ic_bts') ||
-               lower.includes('ic_mrt') || lower.includes('/assets') ||
-               lower.includes('/station') || src.length < 20;
-      };
-
-      // === EXTRACT TITLE ===
-      // ✅ VERIFIED: Works with actual HTML
-      const getTitle = () => {
-        // Try main H1 first (most accurate)
-        const h1Main = q('h1.font_sarabun.show-title, h1.show-title');
-        if (h1Main) {
-          const title = txt(h1Main);
-          if (title && title.length > 10) return title;
-        }
-        
-        // Fallback to any H1
-        const h1 = q('h1');
-        if (h1) return txt(h1);
-        
-        return "";
-      };
-
-      // === EXTRACT PROJECT NAME ===
-      // ✅ VERIFIED: Works with actual HTML
-      const getProjectName = () => {
-        const breadLinks = qa('nav[aria-label="breadcrumb"] a, .breadcrumb a');
-        // Structure: [Home] > [Location] > [Project] > [Listing]
-        // We want Project (index -2)
-        if (breadLinks.length >= 3) {
-          const projectLink = breadLinks[breadLinks.length - 2];
-          const projectName = txt(projectLink);
-          if (projectName && projectName.length > 2 && projectName.length < 100) {
-            return projectName;
-          }
-        }
-        return null;
-      };
-
-      // === EXTRACT BADGES (Category & Deal Type) ===
-      const getBadges = () => {
-        const badges = qa('.badge, .tag, span[class*="badge"]').map(el => txt(el)).filter(t => t && t.length <= 30);
-        let category = "", deal_type = "";
-        
-        for (const b of badges) {
-          const lower = b.toLowerCase();
-          if (!deal_type) {
-            if (b === "ขาย") deal_type = "ขาย";
-            else if (b === "เช่า" || b === "ให้เช่า") deal_type = "เช่า";
-          }
-          if (!category) {
-            if (lower.includes("คอนโด")) category = "คอนโด";
-            else if (lower.includes("บ้านเดี่ยว")) category = "บ้านเดี่ยว";
-            else if (lower.includes("ทาวน์")) category = "ทาวน์เฮ้าส์";
-            else if (lower.includes("ที่ดิน")) category = "ที่ดิน";
-            else if (lower.includes("อาคาร") || lower.includes("ตึก")) category = "อาคารพาณิชย์";
-          }
-        }
-        
-        // Fallback: search in body text
-        if (!category) {
-          const bodyLower = document.body.textContent.toLowerCase();
-          if (bodyLower.includes("คอนโด")) category = "คอนโด";
-          else if (bodyLower.includes("บ้านเดี่ยว")) category = "บ้านเดี่ยว";
-        }
-        
-        return { category, deal_type };
-      };
-
-      // === EXTRACT PRICE INFO ===
-      const getPriceInfo = () => {
-        let price_text = "", old_price_text = "", price_psm_text = "";
-        
-        // Current price
-        const priceEl = q('[class*="price"]:not([class*="old"])');
-        if (priceEl) {
-          const allChildren = Array.from(priceEl.querySelectorAll('*'));
-          for (const el of allChildren) {
-            const t = txt(el);
-            if (t.startsWith("฿") && /\d/.test(t) && t.length <= 30) {
-              price_text = t;
-              break;
-            }
-          }
-        }
-        
-        // Fallback: search all text
-        if (!price_text) {
-          const allTexts = qa('*').map(el => txt(el)).filter(t => t.startsWith("฿") && /\d/.test(t) && t.length <= 30);
-          if (allTexts.length) price_text = allTexts[0];
-        }
-        
-        // Old price
-        const oldPriceEl = q('s, del, [class*="old-price"]');
-        if (oldPriceEl) old_price_text = txt(oldPriceEl);
-        
-        // Price per sqm
-        const bodyText = document.body.textContent;
-        const psmMatch = bodyText.match(/\(([^)]*บ[^)]*\/[^)]*ตร[^)]*)\)/);
-        if (psmMatch) price_psm_text = psmMatch[1];
-        
-        return { price_text, old_price_text, price_psm_text };
-      };
-
-      // === EXTRACT PROPERTY DETAILS ===
-      const getPropertyDetails = () => {
-        const bodyText = document.body.textContent;
-        let bedrooms = null, bathrooms = null, usable_area_sqm = null, floor = null, parking = null;
-        
-        const bedMatch = bodyText.match(/(\d+)\s*ห้องนอน/);
-        if (bedMatch) bedrooms = Number(bedMatch[1]);
-        
-        const bathMatch = bodyText.match(/(\d+)\s*ห้องน้ำ/);
-        if (bathMatch) bathrooms = Number(bathMatch[1]);
-        
-        const areaMatch = bodyText.match(/(\d+(?:\.\d+)?)\s*ตร\.ม\./);
-        if (areaMatch) usable_area_sqm = Number(areaMatch[1]);
-        
-        const floorMatch = bodyText.match(/(\d+)\s*ชั้น/);
-        if (floorMatch) floor = floorMatch[1];
-        
-        const parkMatch = bodyText.match(/(\d+)\s*ที่จอดรถ/);
-        if (parkMatch) parking = Number(parkMatch[1]);
-        
-        return { bedrooms, bathrooms, usable_area_sqm, floor, parking };
-      };
-
-      // === EXTRACT STATS ===
-      const getStats = () => {
-        const bodyText = document.body.textContent;
-        const statsMatch = bodyText.match(/:\s*([\d,]+)\s*:\s*([\d,]+)/);
-        let views = null, clicks = null;
-        if (statsMatch) {
-          views = Number(statsMatch[1].replace(/,/g, ""));
-          clicks = Number(statsMatch[2].replace(/,/g, ""));
-        }
-        return { views, clicks };
-      };
-
-      // === EXTRACT AGENT INFO ===
-      const getAgentInfo = () => {
-        let agent_name = "", agent_verified = false;
-        const agentSection = q('[class*="agent"], [class*="seller"]');
-        if (agentSection) {
-          const nameEl = agentSection.querySelector('h3, h4, [class*="name"]');
-          if (nameEl) agent_name = txt(nameEl);
-          agent_verified = txt(agentSection).toLowerCase().includes('verified');
-        }
-        return { agent_name, agent_verified };
-      };
-
-      // === EXTRACT CONTACT INFO ===
-      const getContacts = () => {
-  const qa = (sel) => Array.from(document.querySelectorAll(sel));
-  const q = (sel) => document.querySelector(sel);
-  const txt = (el) => (el?.textContent || "").replace(/\s+/g, " ").trim();
-
-  // =========================
-  // ✅ PHONE (ชัวร์สุด)
-  // =========================
-  let phone = "";
-
-  // 1) ดึงจาก modal ที่คุณยืนยันมาแล้ว
-  const modalPhone = q("#phone_number_modal_show");
-  if (modalPhone) {
-    phone = txt(modalPhone);
-  }
-
-  // 2) fallback: บางครั้งเว็บใส่เบอร์ลงใน span hideTel_*
-  if (!phone) {
-    const hideSpans = qa('span[id^="hideTel_"]');
-    for (const sp of hideSpans) {
-      const t = txt(sp);
-      if (t && /0[\d\s-]{8,}/.test(t)) { phone = t; break; }
-    }
-  }
-
-  // 3) fallback สุดท้าย: regex จาก body (กันพลาด)
-  if (!phone) {
-    const bodyText = (document.body?.textContent || "").replace(/\s+/g, " ").trim();
-    const m = bodyText.match(/0[\d\s-]{8,}/);
-    if (m) phone = m[0];
-  }
-
-  // normalize phone: เอาเฉพาะตัวเลขและขีด/เว้นวรรคออก
-  phone = (phone || "").replace(/[\s-]/g, "");
-
-  // =========================
-  // EMAIL
-  // =========================
-  let email = "";
-  const mailA = qa('a[href^="mailto:"]')[0];
-  if (mailA) email = (mailA.getAttribute("href") || "").replace(/^mailto:/i, "").trim();
-
-  // =========================
-  // LINE
-  // =========================
-  let line_url = "";
-  const lineLink = qa('a[href*="line.me"], a[href*="lin.ee"], a[href*="line.me/R/ti/p"]')[0];
-  if (lineLink) line_url = lineLink.getAttribute("href") || "";
-
-  // LINE ID (ถ้ามีเป็นข้อความ)
-  let line_id = "";
-  const bodyText2 = (document.body?.textContent || "").replace(/\s+/g, " ").trim();
-  const lineIdMatch = bodyText2.match(/@([a-zA-Z0-9._-]{3,30})/);
-  if (lineIdMatch) line_id = "@" + lineIdMatch[1];
-
-  // =========================
-  // FACEBOOK
-  // =========================
-  let fb_url = "";
-  const fbLink = qa('a[href*="facebook.com"]')[0];
-  if (fbLink) fb_url = fbLink.getAttribute("href") || "";
-
-  return { phone, email, line_url, fb_url, line_id };
-};
-
-      // === EXTRACT IMAGES ===
-      const getImages = () => {
-        const imgs = qa('img')
-          .map(i => i.getAttribute('src') || i.getAttribute('data-src') || "")
-          .filter(Boolean)
-          .filter(src => !isJunkImage(src))
-          .filter(src => src.includes('/upload') || src.includes('cloudfront') || src.length > 50);
-        return { imgs };
-      };
-
-      // === EXTRACT LOCATION ===
-      const getLocation = () => {
-        const breadLinks = qa('nav[aria-label="breadcrumb"] a, .breadcrumb a');
-        const locations = breadLinks.map(a => txt(a)).filter(t => t && t.length <= 40);
-        const location_text = locations.length >= 2 ? locations[locations.length - 2] : "";
-        return { location_text, province: location_text, breadcrumb: locations };
-      };
-
-      // === EXTRACT DESCRIPTION ===
-      const getDescription = () => {
-        const descEl = q('[class*="description"], .detail-content');
-        if (!descEl) return { description: "" };
-        const clone = descEl.cloneNode(true);
-        clone.querySelectorAll('nav, footer, script, style').forEach(el => el.remove());
-        return { description: txt(clone).slice(0, 2000) };
-      };
-
-      // === EXTRACT DATES ===
-      const getDates = () => {
-        const dateTexts = qa('[class*="date"], time').map(el => txt(el)).filter(t => t && (t.includes('สร้าง') || t.includes('ดัน')));
-        return { 
-          created: dateTexts.find(t => t.includes('สร้าง')) || "", 
-          bumped: dateTexts.find(t => t.includes('ดัน')) || "" 
-        };
-      };
-
-      // ===================================
-      // 🆕 EXTRACT NEARBY PLACES
-      // ===================================
-      // ✅ VERIFIED: Works with actual HTML
-      const getNearbyPlaces = () => {
-        const nearbyItems = qa('.box-link-map');
-        const bts = [], hospitals = [], universities = [], malls = [], all = [];
-
-        nearbyItems.forEach(item => {
-          const nameSpan = item.querySelector('.box-map-l span');
-          const name = txt(nameSpan);
-          
-          const distP = item.querySelector('.box-map-l p');
-          const distText = txt(distP);
-          const distance = parseFloat(distText.replace(/[^\d.]/g, ''));
-          
-          const lat = item.getAttribute('data-lat');
-          const lng = item.getAttribute('data-lng');
-          const map = item.getAttribute('data-map');
-
-          if (!name || !distance) return;
-
-          const place = {
-            name: name.trim(),
-            distance_km: distance,
-            lat: lat ? parseFloat(lat) : null,
-            lng: lng ? parseFloat(lng) : null,
-          };
-
-          all.push({ ...place, type: map });
-
-          // Categorize
-          if (map === 'living_transit' || name.includes('BTS') || name.includes('MRT')) {
-            bts.push(place);
-          } else if (map === 'living_hospital' || name.includes('โรงพยาบาล')) {
-            hospitals.push(place);
-          } else if (map === 'living_academy' || name.includes('มหาวิทยาลัย') || name.includes('วิทยาลัย')) {
-            universities.push(place);
-          } else if (map === 'living_mall') {
-            malls.push(place);
-          }
-        });
-
-        // Sort by distance
-        const sortByDist = (a, b) => a.distance_km - b.distance_km;
-        bts.sort(sortByDist);
-        hospitals.sort(sortByDist);
-        universities.sort(sortByDist);
-        malls.sort(sortByDist);
-        all.sort(sortByDist);
-
-        return {
-          bts_json: JSON.stringify(bts),
-          hospitals_json: JSON.stringify(hospitals),
-          universities_json: JSON.stringify(universities),
-          malls_json: JSON.stringify(malls),
-          all_json: JSON.stringify(all.slice(0, 20)), // top 20
-          
-          // Nearest for quick access
-          nearest_bts: bts.length ? bts[0].name : null,
-          nearest_bts_dist: bts.length ? bts[0].distance_km : null,
-          nearest_hospital: hospitals.length ? hospitals[0].name : null,
-          nearest_hospital_dist: hospitals.length ? hospitals[0].distance_km : null,
-          nearest_mall: malls.length ? malls[0].name : null,
-          nearest_mall_dist: malls.length ? malls[0].distance_km : null,
-        };
-      };
-
-      // ===================================
-      // 🆕 EXTRACT FACILITIES
-      // ===================================
-      // ✅ VERIFIED: Works with actual HTML
-      const getFacilities = () => {
-        const facilityItems = qa('.item_property_highlight');
-        const facilities = [];
-        const tags = {
-          has_pool: false,
-          has_gym: false,
-          has_parking: false,
-          has_security: false,
-          has_garden: false,
-          has_sauna: false,
-          has_ev_charger: false,
-          has_sky_pool: false,
-          has_foreigner_quota: false,
-          is_luxury: false,
-          has_private_lift: false,
-        };
-
-        facilityItems.forEach(item => {
-          const nameSpan = item.querySelector('.text_property_highlight');
-          const name = txt(nameSpan);
-          
-          if (name && name.length > 0 && name.length < 50) {
-            facilities.push(name);
-
-            // Auto-detect facility types
-            const lower = name.toLowerCase();
-            if (lower.includes('สระ')) tags.has_pool = true;
-            if (lower.includes('ฟิตเนส') || lower.includes('ยิม') || lower.includes('gym')) tags.has_gym = true;
-            if (lower.includes('จอดรถ')) tags.has_parking = true;
-            if (lower.includes('รักษาความปลอดภัย') || lower.includes('security')) tags.has_security = true;
-            if (lower.includes('สวน') || lower.includes('garden')) tags.has_garden = true;
-            if (lower.includes('ซาวน่า') || lower.includes('sauna')) tags.has_sauna = true;
-            if (lower.includes('ev charger')) tags.has_ev_charger = true;
-            if (lower.includes('สระน้ำลอยฟ้า') || lower.includes('sky pool')) tags.has_sky_pool = true;
-            if (lower.includes('โควต้าต่างชาติ') || lower.includes('foreigner')) tags.has_foreigner_quota = true;
-            if (lower.includes('luxury')) tags.is_luxury = true;
-            if (lower.includes('ลิฟต์ส่วนตัว') || lower.includes('private lift')) tags.has_private_lift = true;
-          }
-        });
-
-        return {
-          facilities_json: JSON.stringify(facilities),
-          facility_count: facilities.length,
-          ...tags,
-        };
-      };
-
-      // === RETURN ALL EXTRACTED DATA ===
-      return {
-        title: getTitle(),
-        project_name: getProjectName(),
-        ...getBadges(),
-        ...getPriceInfo(),
-        ...getPropertyDetails(),
-        ...getStats(),
-        ...getAgentInfo(),
-        ...getContacts(),
-        ...getImages(),
-        ...getLocation(),
-        ...getDescription(),
-        ...getDates(),
-        ...getNearbyPlaces(),
-        ...getFacilities(),
-      };
-    }),
-    sleep(30000).then(() => { throw new Error("evaluate timeout"); })
-  ]).catch(() => null);
-
-  if (!data) throw new Error("Failed to extract data");
-
-  // ============================================
-  // 🔧 SERVER-SIDE DATA NORMALIZATION
-  // ============================================
-
-  const listing_title = cleanText(data.title || "");
-  const price_text = cleanText(data.price_text || "");
-  const price_value = parseNumberLike(price_text);
-  const price_psm = parseNumberLike(data.price_psm_text || "");
+/**
+ * Calculate investment score
+ * @param {number} priceValue - Total price
+ * @param {number} pricePsm - Price per sqm
+ * @param {number} nearestBts - Distance to BTS
+ * @param {number} facilityCount - Number of facilities
+ * @returns {number} Score 0-100
+ */
+function calculateInvestmentScore(priceValue, pricePsm, nearestBts, facilityCount) {
+  let score = 50; // base score
   
-  // Extract listing ID from URL
-  let listing_id = null;
-  try {
-    const u = new URL(url);
-    const m = u.pathname.match(/\/livingdetail\/(\d+)\//);
-    if (m) listing_id = m[1];
-  } catch {}
-
-  const breadcrumb = Array.isArray(data.breadcrumb) ? data.breadcrumb : [];
-  const rawImgs = Array.isArray(data.imgs) ? data.imgs : [];
-  const imagesAbs = rawImgs.map(x => absUrl(url, x)).filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).slice(0, MAX_IMAGES);
-
-  // ============================================
-  // 📊 DASHBOARD SCORING FUNCTIONS
-  // ============================================
+  // Price per sqm (25% weight)
+  if (pricePsm && pricePsm < 100000) score += 25;
+  else if (pricePsm && pricePsm < 150000) score += 15;
+  else if (pricePsm && pricePsm < 200000) score += 5;
   
-  /**
-   * Calculate walkability score based on BTS distance
-   * @param {number} nearestBtsDist - Distance to nearest BTS (km)
-   * @returns {number} Score 0-100
-   */
-  const calculateWalkabilityScore = (nearestBtsDist) => {
-    if (!nearestBtsDist) return 0;
-    if (nearestBtsDist <= 0.3) return 100; // < 300m = perfect
-    if (nearestBtsDist <= 0.5) return 90;  // < 500m = excellent
-    if (nearestBtsDist <= 0.8) return 75;  // < 800m = good
-    if (nearestBtsDist <= 1.2) return 60;  // < 1.2km = ok
-    if (nearestBtsDist <= 2.0) return 40;  // < 2km = fair
-    return 20; // > 2km = poor
-  };
-
-  /**
-   * Calculate location score based on nearby amenities
-   * @param {number} nearestBts - Distance to BTS
-   * @param {number} nearestMall - Distance to mall
-   * @param {number} nearestHospital - Distance to hospital
-   * @returns {number} Score 0-100
-   */
-  const calculateLocationScore = (nearestBts, nearestMall, nearestHospital) => {
-    let score = 0;
-    
-    // BTS distance (40% weight)
-    if (nearestBts <= 0.5) score += 40;
-    else if (nearestBts <= 1.0) score += 30;
-    else if (nearestBts <= 2.0) score += 15;
-    
-    // Mall distance (30% weight)
-    if (nearestMall && nearestMall <= 1.0) score += 30;
-    else if (nearestMall && nearestMall <= 2.0) score += 20;
-    else if (nearestMall && nearestMall <= 3.0) score += 10;
-    
-    // Hospital distance (30% weight)
-    if (nearestHospital && nearestHospital <= 1.0) score += 30;
-    else if (nearestHospital && nearestHospital <= 2.0) score += 20;
-    else if (nearestHospital && nearestHospital <= 3.0) score += 10;
-    
-    return Math.min(score, 100);
-  };
-
-  /**
-   * Calculate investment score
-   * @param {number} priceValue - Total price
-   * @param {number} pricePsm - Price per sqm
-   * @param {number} nearestBts - Distance to BTS
-   * @param {number} facilityCount - Number of facilities
-   * @returns {number} Score 0-100
-   */
-  const calculateInvestmentScore = (priceValue, pricePsm, nearestBts, facilityCount) => {
-    let score = 50; // base score
-    
-    // Price per sqm (25% weight)
-    if (pricePsm && pricePsm < 100000) score += 25;
-    else if (pricePsm && pricePsm < 150000) score += 15;
-    else if (pricePsm && pricePsm < 200000) score += 5;
-    
-    // BTS proximity (35% weight)
-    if (nearestBts && nearestBts <= 0.3) score += 35;
-    else if (nearestBts && nearestBts <= 0.5) score += 25;
-    else if (nearestBts && nearestBts <= 1.0) score += 15;
-    
-    // Facilities (20% weight)
-    if (facilityCount >= 10) score += 20;
-    else if (facilityCount >= 7) score += 15;
-    else if (facilityCount >= 5) score += 10;
-    
-    return Math.min(score, 100);
-  };
-
-  /**
-   * Calculate facility score
-   * @param {number} facilityCount - Total facilities
-   * @param {boolean} hasPool - Has pool?
-   * @param {boolean} hasGym - Has gym?
-   * @returns {number} Score 0-100
-   */
-  const calculateFacilityScore = (facilityCount, hasPool, hasGym) => {
-    let score = (facilityCount / 15) * 60; // max 60 from count
-    if (hasPool) score += 20;
-    if (hasGym) score += 20;
-    return Math.min(Math.round(score), 100);
-  };
-
-  // ============================================
-  // 🏗️ BUILD ROW OBJECT
-  // ============================================
+  // BTS proximity (35% weight)
+  if (nearestBts && nearestBts <= 0.3) score += 35;
+  else if (nearestBts && nearestBts <= 0.5) score += 25;
+  else if (nearestBts && nearestBts <= 1.0) score += 15;
+  
+  // Facilities (20% weight)
+  if (facilityCount >= 10) score += 20;
+  else if (facilityCount >= 7) score += 15;
+  else if (facilityCount >= 5) score += 10;
+  
+  return Math.min(score, 100);
+}
 
-  const row = {
-    // Basic Info
-    listing_id, 
-    listing_url: url,
-    category: cleanText(data.category || ""), 
-    deal_type: cleanText(data.deal_type || ""),
-    project_name: data.project_name || null,
-    listing_title, 
-    price_text, 
-    price_value, 
-    price_psm,
-    old_price_text: cleanText(data.old_price_text || "") || null,
-    discount_percent: null,
-    usable_area_sqm: data.usable_area_sqm, 
-    floor: data.floor,
-    bedrooms: data.bedrooms, 
-    bathrooms: data.bathrooms, 
-    parking: data.parking,
-    furnishing: null, 
-    direction: null,
-    created_at_iso: thaiDateToISO(data.created || ""), 
-    bumped_at_iso: thaiDateToISO(data.bumped || ""),
-    
-    // Location
-    location_text: cleanText(data.location_text || ""), 
-    province: cleanText(data.province || ""),
-    district: null,
-    
-    // Nearby Places (JSON)
-    nearby_bts_json: data.bts_json || null,
-    nearby_hospitals_json: data.hospitals_json || null,
-    nearby_universities_json: data.universities_json || null,
-    nearby_malls_json: data.malls_json || null,
-    nearby_all_json: data.all_json || null,
-    
-    // Nearest (quick access)
-    nearest_bts_name: data.nearest_bts || null,
-    nearest_bts_distance_km: data.nearest_bts_dist || null,
-    nearest_hospital_name: data.nearest_hospital || null,
-    nearest_hospital_distance_km: data.nearest_hospital_dist || null,
-    nearest_mall_name: data.nearest_mall || null,
-    nearest_mall_distance_km: data.nearest_mall_dist || null,
-    
-    // Map
-    map_url: null, 
-    lat: null, 
-    lng: null,
-    
-    // Agent
-    agent_name: cleanText(data.agent_name || ""), 
-    agent_url: null, 
-    agent_verified: Boolean(data.agent_verified),
-    agent_rating: null,
-    
-    // Stats
-    clicks: data.clicks, 
-    views: data.views, 
-    favorites: null,
-    
-    // Contact
-    contact_phone: data.phone ? cleanText(data.phone) : null,
-    contact_email: data.email ? cleanText(data.email) : null,
-    contact_line_url: data.line_url ? cleanText(data.line_url) : null,
-    contact_line_id: data.line_id ? cleanText(data.line_id) : null,
-    contact_facebook_url: data.fb_url ? cleanText(data.fb_url) : null,
-    contact_buttons: null,
-    
-    // Content
-    description_text: cleanText(data.description || "").slice(0, 1500),
-    highlights: null,
-    detail_snippet: cleanText(data.description || "").slice(0, 180),
-    
-    // Images
-    images: imagesAbs.join(" | "),
-    cover_image: imagesAbs.length ? imagesAbs[0] : null,
-    
-    // Facilities
-    facilities_json: data.facilities_json || null,
-    facility_count: data.facility_count || 0,
-    has_pool: data.has_pool || false,
-    has_gym: data.has_gym || false,
-    has_parking: data.has_parking || false,
-    has_security: data.has_security || false,
-    has_garden: data.has_garden || false,
-    has_sauna: data.has_sauna || false,
-    has_ev_charger: data.has_ev_charger || false,
-    has_sky_pool: data.has_sky_pool || false,
-    has_foreigner_quota: data.has_foreigner_quota || false,
-    is_luxury: data.is_luxury || false,
-    has_private_lift: data.has_private_lift || false,
-  };
+/**
+ * Calculate facility score
+ * @param {number} facilityCount - Total facilities
+ * @param {boolean} hasPool - Has pool?
+ * @param {boolean} hasGym - Has gym?
+ * @returns {number} Score 0-100
+ */
+function calculateFacilityScore(facilityCount, hasPool, hasGym) {
+  let score = (facilityCount / 15) * 60; // max 60 from count
+  if (hasPool) score += 20;
+  if (hasGym) score += 20;
+  return Math.min(Math.round(score), 100);
+}
 
-  // Calculate dashboard scores
+/**
+ * Fill the dashboard score columns of a row
+ * @param {object} row - Row with nearby/price/facility fields filled
+ * @returns {object} Same row (mutated)
+ */
+function applyDashboardScores(row) {
   row.walkability_score = calculateWalkabilityScore(row.nearest_bts_distance_km);
   row.location_score = calculateLocationScore(
     row.nearest_bts_distance_km,
@@ -1518,20 +1123,150 @@ async function parseDetail(page, url) {
     row.facility_count
   );
   row.value_score = 0; // will calculate after quality_score
+  return row;
+}
 
-  // Return normalized row
-  const out = {};
-  for (const k of SCHEMA_KEYS) out[k] = row[k] ?? null;
-  return out;
+// ============================================
+// 📦 OFFLINE PARSING (saved HTML)
+// ============================================
+// Same extraction as the live scraper, but on an HTML string instead of
+// a navigated page. The HTML is served for `url` through a route, so
+// relative links resolve like on the real site; every other request is
+// blocked, which keeps it fully offline.
+// The adapter is options.adapter (id), else the one matching `url`.
+
+/**
+ * Load saved HTML into a throwaway page and run fn on it
+ * @param {string} html - Full page HTML
+ * @param {object} options - {url, adapter, browserPool}
+ * @param {Function} fn - async (page, adapter) => result
+ * @returns {Promise<*>} Whatever fn returns
+ */
+async function withOfflinePage(html, { url = null, adapter: adapterId = null, browserPool = null } = {}, fn) {
+  if (typeof html !== "string" || !html.trim()) throw new Error("html is required");
+
+  const adapter = resolveAdapter({ adapter: adapterId, url });
+  const pageUrl = new URL(url || adapter.offlineBaseUrl).href;
+  const contextOpts = { locale: "th-TH", timezoneId: "Asia/Bangkok", javaScriptEnabled: false };
+  const browser = browserPool
+    ? null
+    : await chromium.launch({ headless: true, args: ["--disable-dev-shm-usage", "--disable-gpu", "--no-sandbox"] });
+
+  let context = null;
+  try {
+    context = browserPool ? await browserPool.acquireContext(contextOpts) : await browser.newContext(contextOpts);
+    await context.route("**/*", (route) => {
+      const req = route.request();
+      if (req.isNavigationRequest() && req.url() === pageUrl) {
+        return route.fulfill({ status: 200, contentType: "text/html; charset=utf-8", body: html });
+      }
+      return route.abort();
+    });
+
+    const page = await context.newPage();
+    await page.goto(pageUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+    return await fn(page, adapter);
+  } finally {
+    if (browserPool) await browserPool.releaseContext(context);
+    else await context?.close().catch(() => {});
+    if (browser) await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Parse a saved detail page
+ * @param {string} html - Full page HTML
+ * @param {object} options - {url, adapter, browserPool, provenance}
+ * @returns {Promise<object>} Row in SCHEMA_KEYS order
+ */
+export async function parseDetailHtml(html, options = {}) {
+  return withOfflinePage(html, options, async (page, adapter) => finalizeRow(await adapter.extractDetail(page, options.url || null, options)));
+}
+
+/**
+ * Parse a saved detail page from disk
+ * @param {string} file - Path to an .html file
+ * @param {object} options - {url, adapter, browserPool, provenance}
+ * @returns {Promise<object>} Row in SCHEMA_KEYS order
+ */
+export async function parseDetailFile(file, options = {}) {
+  const html = await fs.promises.readFile(file, "utf8");
+  return parseDetailHtml(html, options);
+}
+
+/**
+ * Collect detail links from a saved search-result page
+ * @param {string} html - Full page HTML
+ * @param {object} options - {url, adapter, browserPool}
+ * @returns {Promise<string[]>} Absolute detail URLs (deduped, page order)
+ */
+export async function collectDetailLinksFromHtml(html, options = {}) {
+  return withOfflinePage(html, options, (page, adapter) => adapter.collectDetailLinks(page));
+}
+
+/**
+ * Build list_only rows from the cards of a saved search-result page
+ * @param {string} html - Full page HTML
+ * @param {object} options - {url, adapter, browserPool}
+ * @returns {Promise<Array>} Rows in SCHEMA_KEYS order (page order)
+ */
+export async function collectListRowsFromHtml(html, options = {}) {
+  return withOfflinePage(html, options, async (page, adapter) => {
+    if (!(adapter.collectListCards && adapter.rowFromListCard)) throw new Error(`list_only is not supported for ${adapter.name}`);
+    const cards = await adapter.collectListCards(page);
+    return cards.map((card) => finalizeRow(adapter.rowFromListCard(card)));
+  });
+}
+
+// ============================================
+// ♻️ INCREMENTAL CRAWLING
+// ============================================
+// With opts.listingIndex every produced row is classified against the
+// previous run as new / changed / unchanged. With opts.incremental too,
+// a listing whose search-result card looks the same as last time is
+// not opened again: its stored detail row is carried forward.
+
+// Columns that change while the listing itself does not (counters, scores, history)
+const VOLATILE_KEYS = new Set([
+  "clicks", "views", "favorites",
+  "quality_score", "price_score", "data_completeness", "anomaly_flags",
+  "walkability_score", "location_score", "facility_score", "investment_score", "value_score",
+  "first_seen", "last_seen", "days_on_market", "price_change_pct",
+]);
+
+// Max disappeared listing ids listed in meta
+const MAX_DISAPPEARED_IDS = 200;
+
+/**
+ * Hash of a row's content, ignoring counters and scores
+ * @param {object} row - Row in SCHEMA_KEYS order
+ * @returns {string} Content hash
+ */
+function contentHash(row) {
+  return hashOf(SCHEMA_KEYS.filter((k) => !VOLATILE_KEYS.has(k)).map((k) => row?.[k] ?? null));
+}
+
+/**
+ * Hash of what a search-result card shows about a listing
+ * @param {object} adapter - Site adapter (needs rowFromListCard)
+ * @param {object} card - Card from adapter.collectListCards
+ * @returns {string|null} Card hash, or null without card support
+ */
+function cardHash(adapter, card) {
+  if (!card || typeof adapter.rowFromListCard !== "function") return null;
+  const r = adapter.rowFromListCard(card);
+  return hashOf([r.listing_title, r.price_text, r.project_name, r.usable_area_sqm, r.bedrooms, r.bathrooms]);
 }
 
 // ============================================
 // 🔄 RETRY WRAPPER
 // ============================================
 
-async function workWithRetry(page, url, context) {
+// Errors thrown from here carry .attempt (1-based) for meta.errors
+async function workWithRetry(adapter, page, url, context, signal, parseOpts = {}, timeoutMs = DETAIL_TIMEOUT_MS) {
   let lastErr = null;
   for (let i = 0; i <= DETAIL_RETRIES; i++) {
+    if (signal?.aborted) throw scrapeError("CANCELLED", "cancelled");
     try {
       // Recreate page if closed
       if (page.isClosed()) {
@@ -1539,17 +1274,32 @@ async function workWithRetry(page, url, context) {
         await injectPerfCSS(page);
       }
       
+      // wait out a 429/503 pause before the detail timeout starts
+      await parseOpts.limiter?.whenReady(url, signal);
+      if (signal?.aborted) throw scrapeError("CANCELLED", "cancelled");
+
       const res = await Promise.race([
-        parseDetail(page, url),
-        sleep(DETAIL_TIMEOUT_MS).then(() => { throw new Error("timeout"); })
+        adapter.parseDetail(page, url, parseOpts).then(finalizeRow),
+        sleep(timeoutMs).then(() => { throw scrapeError("DETAIL_TIMEOUT", "timeout"); })
       ]);
       
       return { result: res, page };
     } catch (e) {
       lastErr = e;
+      e.attempt = i + 1;
+      const code = errorCode(e);
+      if (PERMANENT_CODES.includes(code)) throw e; // retrying will not help
+
+      // blocked / rate limited: wait for the job-wide pause, then try again
+      const state = e.pageState || parseOpts.guard?.checkError(e, "detail", url)?.state;
+      if (state === "blocked" || state === "rate_limited") {
+        if (parseOpts.guard?.gaveUp) throw e;
+        await parseOpts.guard?.whenClear(signal);
+        continue;
+      }
       
       // Handle crashes
-      if (e.message.includes("crash") || e.message.includes("closed")) {
+      if (code === "BROWSER_CRASH") {
         try {
           await page.close().catch(() => {});
           page = await context.newPage();
@@ -1558,11 +1308,11 @@ async function workWithRetry(page, url, context) {
       }
       
       // Exponential backoff
-      await sleep(e.message.includes("crash") ? 3000 + i * 1500 : 800 + i * 600);
+      await sleep(code === "BROWSER_CRASH" ? 3000 + i * 1500 : 800 + i * 600, signal);
     }
   }
   
-  throw lastErr || new Error("failed after retries");
+  throw lastErr || scrapeError("UNKNOWN", "failed after retries");
 }
 
 // ============================================
@@ -1571,19 +1321,86 @@ async function workWithRetry(page, url, context) {
 
 export default async function scrapeListings(opts = {}) {
   const maxResults = Math.max(1, Number(opts.maxResults || 50));
+  const maxPages = Math.max(1, Number(opts.maxPages || 1));
+  const startUrl = String(opts.startUrl || "").trim();
+  const filters = normalizeFilters(opts);
+  const sampleEvery = Math.max(1, Math.trunc(Number(opts.sampleEvery || 1)) || 1);
+  const sampleSeed = normalizeSeed(opts.sampleSeed) ?? Math.floor(Math.random() * 2 ** 31);
+  const collectLimit = maxResults * Math.max(2, sampleEvery); // enough links to fill maxResults after sampling
+  const mode = normalizeMode(opts.preferFastMode);
+  const routeMode = mode === "list_only" ? "auto" : mode;
+  const provenance = Boolean(opts.provenance);
+  const sourceStrategy = normalizeStrategy(opts.sourceStrategy);
+  const firstDetailUrl = Array.isArray(opts.detailUrls) ? opts.detailUrls.find((u) => /^https?:\/\//i.test(String(u || "").trim())) : null;
+  const adapter = resolveAdapter({ adapter: opts.adapter, url: startUrl || firstDetailUrl?.trim() });
+  if (mode === "list_only" && !(adapter.collectListCards && adapter.rowFromListCard)) {
+    throw new Error(`list_only is not supported for ${adapter.name}`);
+  }
+  // given detail pages (a shortlist, the failed URLs of an earlier job) instead of searching
+  const detailUrls = Array.isArray(opts.detailUrls) ? normalizeDetailTargets(adapter, opts.detailUrls).urls : null;
+  if (detailUrls && mode === "list_only") throw new Error("detailUrls cannot be used with list_only");
+  const detailTimeoutMs = Math.max(5000, Number(opts.detailTimeoutMs) || DETAIL_TIMEOUT_MS);
+  const concurrency = Math.max(1, Math.trunc(Number(opts.concurrency)) || MAX_CONCURRENCY);
+  const listingIndex = opts.listingIndex || null;
+  const incremental = Boolean(opts.incremental);
+  const alertRules = Array.isArray(opts.alertRules) ? opts.alertRules : [];
+  const pace = (opts.rateLimiter || sharedRateLimiter()).session(); // this job's view of the shared limiter
+  const guard = createBlockGuard({ adapter, debugDir: ensureDebugDir }); // block pages pause all workers
+  if (incremental && !listingIndex) throw new Error("incremental mode needs opts.listingIndex");
+  // incremental compares search-result cards, so collect them like list_only does
+  const wantCards = mode === "list_only" || (incremental && typeof adapter.collectListCards === "function");
+  const signal = opts.signal;
+  const isCancelled = () => Boolean(signal?.aborted);
   const aiEngine = new AILearningEngine();
+  // continue an earlier run: the list phase is skipped, finished links are not parsed again
+  const checkpoint = opts.resume?.checkpoint?.version === CHECKPOINT_VERSION ? opts.resume.checkpoint : null;
+  const resuming = Boolean(checkpoint);
+  const listPhase = !resuming && !detailUrls;
+
+  // Learning from earlier runs (opts.learning, see learningStore.js)
+  const learning = opts.learning || null;
+  try {
+    aiEngine.importState(learning?.load(adapter.id));
+  } catch (e) {
+    log(`⚠️ Cannot load learning state: ${e.message}`);
+  }
 
   const meta = {
     source: "ai_powered_scraper", 
+    adapter: adapter.id,
+    startUrl: startUrl || null,
+    mode,
     maxResults, 
+    maxPages,
+    filters,
     startedAt: nowISO(), 
     endedAt: null,
     sources_used: 0, 
+    pagesVisited: 0,
     collected_links: 0, 
+    sample_every: sampleEvery,
+    sample_seed: sampleSeed,
+    sample_offset: 0,
+    sampled_links: 0,
     total_parsed: 0,
     duplicates_removed: 0, 
+    filtered_out: { dealType: 0, category: 0, keyword: 0, price: 0 },
+    filtered_total: 0,
     avg_quality_score: 0, 
+    learned_sources: aiEngine.sourcePerformance.size,
+    source_strategy: sourceStrategy,
+    incremental,
+    alerts_matched: 0,
+    page_states: null,
+    degraded: false,
+    error_stats: null,
+    listing_changes: listingIndex
+      ? { new: 0, changed: 0, unchanged: 0, disappeared: 0, skipped_details: 0, disappeared_ids: [] }
+      : null,
+    chosen_sources: [],
+    source_rewards: [],
     elapsedMs: null, 
+    cancelled: false,
     errors: [],
   };
 
@@ -1592,193 +1409,591 @@ export default async function scrapeListings(opts = {}) {
 
   log("=".repeat(70));
   log("🚀 AI-POWERED INTELLIGENT SCRAPER v3.0");
+  log(`🔌 Site adapter: ${adapter.name}`);
   log("=".repeat(70));
 
-  // Launch browser
-  const browser = await chromium.launch({
-    headless: SCRAPE_HEADLESS,
-    args: ["--disable-dev-shm-usage", "--disable-gpu", "--no-sandbox"],
-  });
+  // Browser: borrow contexts from the shared pool, or launch our own
+  const pool = opts.browserPool || null;
+  const browser = pool
+    ? null
+    : await chromium.launch({
+        headless: SCRAPE_HEADLESS,
+        args: ["--disable-dev-shm-usage", "--disable-gpu", "--no-sandbox"],
+      });
+  const contextOpts = { locale: "th-TH", timezoneId: "Asia/Bangkok" };
+
+  // Cancellation: closing the contexts makes in-flight navigations throw,
+  // so workers stop right away instead of finishing their current page
+  const openContexts = new Set();
+  const onAbort = () => {
+    log("🛑 Cancel requested, closing browser contexts");
+    for (const ctx of openContexts) ctx.close().catch(() => {});
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  const openContext = async () => {
+    const ctx = pool ? await pool.acquireContext(contextOpts, signal) : await browser.newContext(contextOpts);
+    openContexts.add(ctx);
+    return ctx;
+  };
+  const closeContext = async (ctx) => {
+    openContexts.delete(ctx);
+    if (pool) await pool.releaseContext(ctx);
+    else await ctx.close().catch(() => {});
+  };
+  const closeBrowser = async () => {
+    if (browser) await browser.close().catch(() => {});
+  };
 
   // ============================================
   // 📋 PHASE 1: COLLECT LINKS
   // ============================================
 
-  const contextOpts = { locale: "th-TH", timezoneId: "Asia/Bangkok" };
-  const contextList = await browser.newContext(contextOpts);
-  contextList.setDefaultNavigationTimeout(NAV_TIMEOUT_MS);
-  await contextList.route("**/*", makeRouteHandler("auto"));
-
-  const listPage = await contextList.newPage();
-  await injectPerfCSS(listPage);
-
-  const collected = new Set();
-  const sources = selectSmartSources(maxResults, aiEngine);
-  log(`🎯 Selected ${sources.length} intelligent sources\n`);
+  // given detail URLs / resumed runs skip straight to phase 2
+  let contextList = null;
+  let listPage = null;
+  if (listPhase) {
+    try {
+      contextList = await openContext();
+    } catch (e) {
+      await closeBrowser();
+      signal?.removeEventListener("abort", onAbort);
+      throw e;
+    }
+  }
 
+  const collected = new Set(detailUrls || []);
+  const cardsByUrl = new Map(); // list_only / incremental: url -> search-result card
+  let scrollRounds = LIST_SCROLL_ROUNDS;
+  const sources = !listPhase
+    ? []
+    : (startUrl ? [sourceFromStartUrl(startUrl)] : selectSmartSources(adapter, maxResults, aiEngine, sourceStrategy))
+      .map((src) => ({ ...src, url: adapter.applyFilters(src.url, filters) }));
+  if (resuming) log(`⏯️ Resuming from checkpoint ${checkpoint.savedAt}: ${checkpoint.finished.length}/${checkpoint.sampled.length} links done\n`);
+  else if (detailUrls) log(`🎯 Parsing ${detailUrls.length} given detail URLs\n`);
+  else log(`🎯 Selected ${sources.length} ${startUrl ? "start URL" : "intelligent"} sources\n`);
+
+  // Chosen arms with their confidence bounds at selection time
+  const totalPulls = [...aiEngine.sourcePerformance.values()].reduce((sum, p) => sum + (p.pulls || 0), 0);
+  meta.chosen_sources = sources.map((src) => ({
+    id: src.id,
+    name: src.name,
+    ...(src.bandit || { strategy: sourceStrategy, ...armBounds(sourceStrategy, aiEngine.sourcePerformance.get(src.id), totalPulls) }),
+  }));
+
+  // Reward inputs per source: new unique links now, row quality after parsing
+  const linkSource = new Map(); // link -> id of the source that found it first
+  const sourceResults = new Map(); // source id -> {newLinks, rows, qualitySum}
+  const searchSeen = []; // [{key, ids, complete}] listing ids per search, for disappeared listings
+
+  let listError = null;
   try {
-    for (let s = 0; s < sources.length; s++) {
+    // inside the try so a failure here still gives the context back
+    if (contextList) {
+      contextList.setDefaultNavigationTimeout(NAV_TIMEOUT_MS);
+      await contextList.route("**/*", makeRouteHandler(routeMode));
+      listPage = await contextList.newPage();
+      await injectPerfCSS(listPage);
+    }
+
+    for (let s = 0; s < sources.length && !isCancelled() && !guard.gaveUp; s++) {
       const source = sources[s];
+      const pageUrls = adapter.sourcePageUrls(source, maxPages);
+      let sourceLinks = 0;
+      const sourceResult = { newLinks: 0, rows: 0, qualitySum: 0 };
+      sourceResults.set(source.id, sourceResult);
+      // complete = the end of results was seen (not just maxPages running out)
+      const seen = { key: source.url, ids: new Set(), complete: false };
+      searchSeen.push(seen);
       log(`📍 SOURCE ${s + 1}/${sources.length}: ${source.name}`);
-      
-      await robustGoto(listPage, source.url, { retries: 2 });
-      await dismissOverlays(listPage);
-      
-      const adaptiveRounds = aiEngine.recommendScrollRounds(LIST_SCROLL_ROUNDS, 0);
-      await autoScrollRobust(listPage, adaptiveRounds);
 
-      const links = await collectDetailLinksFromList(listPage);
-      
-      aiEngine.recordSourcePerformance(source.id, {
-        success: links.length > 0,
-        linksFound: links.length,
-        avgQuality: 0.5,
-      });
+      let blockRetries = 0;
+      for (let p = 0; p < pageUrls.length && !isCancelled() && !guard.gaveUp; p++) {
+        const pageStart = Date.now();
+        try {
+          const res = await robustGoto(listPage, pageUrls[p], { retries: 2, limiter: pace, signal });
+          await guard.check(listPage, res, "list");
+          blockRetries = 0;
+        } catch (e) {
+          if (isCancelled()) break;
+          const state = e.pageState || guard.checkError(e, "list", pageUrls[p])?.state;
+          if ((state === "blocked" || state === "rate_limited") && blockRetries < LIST_BLOCK_RETRIES && !guard.gaveUp) {
+            blockRetries++;
+            log(`   🛡️ Page ${p + 1} ${state}, retrying after the pause`);
+            await guard.whenClear(signal);
+            p--;
+            continue;
+          }
+          log(`   ❌ Page ${p + 1} failed: ${e.message}`);
+          meta.errors.push(errorRecord(e, {
+            url: pageUrls[p],
+            stage: "list",
+            attempt: blockRetries + 1,
+            durationMs: Date.now() - pageStart,
+            source: source.id,
+          }));
+          break;
+        }
+        await dismissOverlays(listPage);
 
-      for (const link of links) {
-        collected.add(link);
-        if (collected.size >= maxResults * 2) break;
+        await autoScrollRobust(listPage, scrollRounds);
+
+        const links = await adapter.collectDetailLinks(listPage);
+        meta.pagesVisited++;
+        scrollRounds = aiEngine.recommendScrollRounds(scrollRounds, links.length);
+
+        for (const link of links) {
+          const id = adapter.listingIdFromUrl(link);
+          if (id) seen.ids.add(id);
+        }
+
+        if (wantCards) {
+          for (const card of await adapter.collectListCards(listPage)) {
+            if (!cardsByUrl.has(card.url)) cardsByUrl.set(card.url, card);
+          }
+        }
+
+        let fresh = 0;
+        for (const link of links) {
+          if (collected.size >= collectLimit) break;
+          if (!collected.has(link)) {
+            fresh++;
+            linkSource.set(link, source.id);
+          }
+          collected.add(link);
+        }
+        sourceLinks += links.length;
+        sourceResult.newLinks += fresh;
+        meta.collected_links = collected.size;
+
+        log(`   📄 Page ${p + 1}/${pageUrls.length}: ${links.length} links, ${fresh} new (total: ${collected.size})`);
+        emitProgress(opts, { stage: "list", message: `หน้า ${meta.pagesVisited}: ${collected.size} ลิงก์`, meta });
+
+        if (collected.size >= collectLimit) break;
+        if (fresh === 0) {
+          log(`   ⏹️  No new links on this page, end of results`);
+          seen.complete = true;
+          break;
+        }
       }
 
-      log(`   ✅ Collected ${links.length} links (total: ${collected.size})\n`);
+      log(`   ✅ Collected ${sourceLinks} links (total: ${collected.size})\n`);
 
-      if (collected.size >= maxResults * 2) {
+      if (collected.size >= collectLimit) {
         log(`🎯 Target reached! Stopping early.\n`);
         break;
       }
     }
+  } catch (e) {
+    if (!isCancelled()) listError = e; // else closed under our feet by cancel
   } finally {
-    await contextList.close().catch(() => {});
+    if (contextList) await closeContext(contextList);
+  }
+  if (listError) {
+    await closeBrowser();
+    signal?.removeEventListener("abort", onAbort);
+    throw listError;
   }
 
   meta.sources_used = sources.length;
   meta.collected_links = collected.size;
-  const sampled = [...collected].slice(0, maxResults);
+  const { sample, offset } = systematicSample([...collected], sampleEvery, sampleSeed);
+  const sampled = resuming ? checkpoint.sampled : detailUrls || sample.slice(0, maxResults);
+  meta.sample_offset = offset;
+  meta.sampled_links = sampled.length;
+  if (sampleEvery > 1 && listPhase) log(`🎲 Sampled every ${sampleEvery} links (seed=${sampleSeed}, offset=${offset})`);
+
+  if (resuming) {
+    // counters, errors and sampling info of the earlier run, and what its sources found
+    Object.assign(meta, checkpoint.meta, {
+      endedAt: null,
+      elapsedMs: null,
+      cancelled: false,
+      resumed_at: nowISO(),
+      resumes: (checkpoint.meta?.resumes || 0) + 1,
+    });
+    for (const [id, res] of Object.entries(checkpoint.sourceResults || {})) sourceResults.set(id, { ...res });
+    for (const [link, id] of Object.entries(checkpoint.linkSource || {})) linkSource.set(link, id);
+  }
 
-  log(`🔍 PARSING: ${sampled.length} URLs with AI quality analysis\n`);
+  // Listings gone from searches that were read to the end (not searched when resuming / given URLs)
+  if (listingIndex && !isCancelled() && listPhase) {
+    const gone = new Set();
+    for (const { key, ids, complete } of searchSeen) {
+      const before = listingIndex.searchIds(adapter.id, key);
+      if (complete) {
+        for (const id of before) if (!ids.has(id)) gone.add(id);
+        listingIndex.setSearch(adapter.id, key, ids);
+      } else {
+        listingIndex.setSearch(adapter.id, key, new Set([...before, ...ids]));
+      }
+    }
+    listingIndex.markDisappeared(adapter.id, gone);
+    meta.listing_changes.disappeared = gone.size;
+    meta.listing_changes.disappeared_ids = [...gone].slice(0, MAX_DISAPPEARED_IDS);
+    if (gone.size) log(`👻 ${gone.size} listings disappeared since the last run`);
+  }
 
-  // ============================================
-  // 📄 PHASE 2: PARSE DETAILS
-  // ============================================
+  /**
+   * Classify a produced row against the index, remember it and fill
+   * its HISTORY columns. Scraped rows add a timeline snapshot; carried
+   * rows only move last_seen.
+   * @param {object} row - Finalized row (HISTORY columns are set in place)
+   * @param {string} link - Detail URL it came from
+   * @param {object|null} carried - Index entry when the row was carried forward
+   * @returns {object|null} {status, previous_price_value} for alert rules, null without an index
+   */
+  function trackListing(row, link, carried = null) {
+    if (!listingIndex) return null;
+    const id = row.listing_id || adapter.listingIdFromUrl(link);
+    if (!id) return null;
+
+    const prev = carried || listingIndex.get(adapter.id, id);
+    const detail = mode !== "list_only";
+    const hash = carried ? carried.content_hash : contentHash(row);
+    const card = carried ? carried.card_hash : cardHash(adapter, cardsByUrl.get(link));
+    // a card row and a detail row never hash alike: across modes only the cards can be compared
+    const changed = Boolean(prev) && (Boolean(prev.detail) === detail
+      ? prev.content_hash !== hash
+      : Boolean(prev.card_hash && card && prev.card_hash !== card));
+    const status = carried ? "unchanged" : !prev ? "new" : changed ? "changed" : "unchanged";
+    meta.listing_changes[status]++;
+
+    if (!carried && !detail && prev?.detail && prev.row) {
+      // keep the stored detail row (and the card it belongs to), only last_seen moves
+      listingIndex.record(adapter.id, id, prev);
+    } else {
+      const stored = carried ? carried.row : normalizeRow(row);
+      delete stored._provenance;
+      listingIndex.record(adapter.id, id, {
+        url: link,
+        bumped_at_iso: row.bumped_at_iso ?? null,
+        price_text: row.price_text ?? null,
+        card_hash: card,
+        content_hash: hash,
+        detail: carried ? carried.detail : detail,
+        row: stored,
+      });
+    }
+    if (!carried) listingIndex.addSnapshot(adapter.id, id, snapshotOf(row));
+    Object.assign(row, historyFields(listingIndex.get(adapter.id, id)));
+    return { status, previous_price_value: prev?.row?.price_value ?? null };
+  }
 
-  const contextDetail = await browser.newContext(contextOpts);
-  await contextDetail.route("**/*", makeRouteHandler("auto"));
+  /**
+   * Index entry to reuse instead of opening the detail page, if the card is unchanged
+   * @param {string} link - Detail URL
+   * @returns {object|null} Index entry or null
+   */
+  function carriedEntry(link) {
+    const card = cardsByUrl.get(link);
+    const id = adapter.listingIdFromUrl(link);
+    if (!card || !id) return null;
+    const prev = listingIndex.get(adapter.id, id);
+    if (!prev?.row || !prev.detail || prev.disappeared_at) return null;
+    return prev.card_hash && prev.card_hash === cardHash(adapter, card) ? prev : null;
+  }
 
   const rows = [];
-  const queue = [...sampled];
   let parsedCount = 0;
+  const finished = new Set(checkpoint?.finished || []); // sampled links that are done (kept, skipped or failed)
+
+  // rows of the earlier run count as parsed and as seen by duplicate detection
+  if (resuming) {
+    for (const row of Array.isArray(opts.resume.rows) ? opts.resume.rows : []) {
+      aiEngine.isDuplicate(row);
+      rows.push(row);
+    }
+    parsedCount = rows.length;
+  }
+
+  let lastCheckpointAt = 0;
+
+  /** report which links are done, so an interrupted run can resume (see emitCheckpoint) */
+  function saveCheckpoint() {
+    if (typeof opts.onCheckpoint !== "function") return;
+    lastCheckpointAt = Date.now();
+    emitCheckpoint(opts, {
+      version: CHECKPOINT_VERSION,
+      savedAt: nowISO(),
+      sampled,
+      finished: [...finished],
+      sourceResults: Object.fromEntries(sourceResults),
+      linkSource: Object.fromEntries(sampled.filter((link) => linkSource.has(link)).map((link) => [link, linkSource.get(link)])),
+      meta: structuredClone(meta),
+    });
+  }
+
+  function finishLink(link) {
+    finished.add(link);
+    if (Date.now() - lastCheckpointAt >= CHECKPOINT_INTERVAL_MS) saveCheckpoint();
+  }
 
   /**
-   * Worker function for parallel parsing
-   * @param {number} workerId - Worker ID for logging
+   * Dedupe, filter and score a parsed row, then keep it
+   * @param {object} row - Normalized row
+   * @param {string} label - Log prefix (worker name)
+   * @param {Function|null} track - () => trackListing(...), called only for rows that are kept,
+   *   so duplicates and filtered rows never reach the listing index
+   * @returns {boolean} True if the row was kept
    */
-  async function worker(workerId) {
-    let page = await contextDetail.newPage();
-    await injectPerfCSS(page);
-    let jobCount = 0;
+  function acceptRow(row, label, track = null) {
+    // AI duplicate detection
+    if (aiEngine.isDuplicate(row)) {
+      log(`${label}: 🔁 Duplicate detected, skipped`);
+      meta.duplicates_removed++;
+      return false;
+    }
 
-    while (queue.length) {
-      const link = queue.shift();
-      if (!link) break;
+    // Apply form filters
+    const failed = hasFilters(filters) ? rowFilterFailure(row, filters) : null;
+    if (failed) {
+      log(`${label}: 🚫 Filtered out by ${failed}`);
+      meta.filtered_out[failed]++;
+      meta.filtered_total++;
+      return false;
+    }
 
-      try {
-        const { result: row, page: newPage } = await workWithRetry(page, link, contextDetail);
-        page = newPage;
-        jobCount++;
-
-        // Recycle page periodically
-        if (jobCount % PAGE_RECYCLE_AFTER === 0) {
-          await page.close();
-          page = await contextDetail.newPage();
-          await injectPerfCSS(page);
-        }
+    // listing index: new / changed / unchanged + HISTORY columns (change feeds alert rules)
+    const change = track ? track() : null;
 
-        // AI duplicate detection
-        if (aiEngine.isDuplicate(row)) {
-          log(`Worker ${workerId}: 🔁 Duplicate detected, skipped`);
-          meta.duplicates_removed++;
-          continue;
-        }
+    // Learn price patterns
+    aiEngine.learnPrice(row.price_value, row.category);
 
-        // Learn price patterns
-        aiEngine.learnPrice(row.price_value, row.category);
+    // Calculate AI scores
+    row.quality_score = QualityScorer.calculateQualityScore(row);
+    row.price_score = QualityScorer.scorePriceReliability(row) * 100;
+    row.data_completeness = Math.round(QualityScorer.scoreDataCompleteness(row) * 100);
+    row.anomaly_flags = QualityScorer.generateAnomalyFlags(row, aiEngine);
 
-        // Calculate AI scores
-        row.quality_score = QualityScorer.calculateQualityScore(row);
-        row.price_score = QualityScorer.scorePriceReliability(row) * 100;
-        row.data_completeness = Math.round(QualityScorer.scoreDataCompleteness(row) * 100);
-        row.anomaly_flags = QualityScorer.generateAnomalyFlags(row, aiEngine);
+    // Credit the source that found this listing (bandit reward)
+    const sourceResult = sourceResults.get(linkSource.get(row.listing_url));
+    if (sourceResult) {
+      sourceResult.rows++;
+      sourceResult.qualitySum += row.quality_score;
+    }
 
-        // Calculate value_score (now that we have quality_score)
-        row.value_score = Math.round(
-          (row.quality_score / 100) * 40 +  // quality: 40%
-          (row.price_score / 100) * 30 +    // price: 30%  
-          (row.location_score / 100) * 30   // location: 30%
-        );
+    // Calculate value_score (now that we have quality_score)
+    row.value_score = Math.round(
+      (row.quality_score / 100) * 40 +  // quality: 40%
+      (row.price_score / 100) * 30 +    // price: 30%  
+      (row.location_score / 100) * 30   // location: 30%
+    );
 
-        rows.push(row);
-        parsedCount++;
-        meta.total_parsed = parsedCount;
+    rows.push(row);
+    parsedCount++;
+    meta.total_parsed = parsedCount;
+    emitRow(opts, normalizeRow(row));
 
-        log(`Worker ${workerId}: ✅ Q:${row.quality_score}% L:${row.location_score}% (${parsedCount}/${sampled.length})`);
+    for (const rule of alertRules.length ? matchRules(alertRules, row, change) : []) {
+      meta.alerts_matched++;
+      log(`${label}: 🔔 Alert "${rule.name}"`);
+      emitAlert(opts, { rule: { id: rule.id, name: rule.name }, change, row: normalizeRow(row) });
+    }
 
-        if (parsedCount % 5 === 0) {
-          emitProgress(opts, { stage: "detail", message: `${parsedCount}/${sampled.length}`, meta });
-        }
-      } catch (e) {
-        log(`Worker ${workerId}: ❌ ${e.message}`);
-        meta.errors.push({ url: link, error: String(e.message) });
-      }
+    log(`${label}: ✅ Q:${row.quality_score}% L:${row.location_score}% (${parsedCount}/${sampled.length})`);
+
+    if (parsedCount % 5 === 0) {
+      emitProgress(opts, { stage: "detail", message: `${parsedCount}/${sampled.length}`, meta });
     }
+    return true;
+  }
 
-    await page.close().catch(() => {});
+  // may wait for a free slot when the shared pool is busy
+  let contextDetail = null;
+  if (mode !== "list_only" && !isCancelled()) {
+    try {
+      contextDetail = await openContext();
+    } catch (e) {
+      if (!isCancelled()) {
+        await closeBrowser();
+        throw e;
+      }
+    }
   }
 
-  // Run workers in parallel
-  try {
-    const workers = [];
-    for (let i = 0; i < MAX_CONCURRENCY; i++) {
-      workers.push(worker(i + 1));
+  if (isCancelled()) {
+    if (contextDetail) await closeContext(contextDetail);
+    await closeBrowser();
+  } else if (mode === "list_only") {
+    // ============================================
+    // 🗂️ PHASE 2 (list_only): ROWS FROM CARDS
+    // ============================================
+
+    log(`🗂️ LIST ONLY: building ${sampled.length} rows from search-result cards\n`);
+    for (const link of sampled) {
+      const row = finalizeRow(adapter.rowFromListCard(cardsByUrl.get(link) || { url: link }));
+      acceptRow(row, "List", () => trackListing(row, link));
+    }
+    await closeBrowser();
+  } else {
+    log(`🔍 PARSING: ${sampled.length} URLs with AI quality analysis\n`);
+
+    // ============================================
+    // 📄 PHASE 2: PARSE DETAILS
+    // ============================================
+
+    const queue = [];
+    for (const link of sampled) {
+      if (finished.has(link)) continue;
+      const carried = incremental ? carriedEntry(link) : null;
+      if (!carried) {
+        queue.push(link);
+        continue;
+      }
+      const row = finalizeRow({ ...carried.row });
+      meta.listing_changes.skipped_details++;
+      acceptRow(row, "Index", () => trackListing(row, link, carried));
+      finished.add(link);
+    }
+    if (incremental) log(`♻️ INCREMENTAL: ${meta.listing_changes.skipped_details} unchanged listings carried forward, ${queue.length} to parse\n`);
+    saveCheckpoint(); // from here on a restart does not repeat the list phase
+
+    /**
+     * Worker function for parallel parsing
+     * @param {number} workerId - Worker ID for logging
+     */
+    async function worker(workerId) {
+      let page;
+      try {
+        page = await contextDetail.newPage();
+      } catch (e) {
+        if (isCancelled()) return;
+        throw e;
+      }
+      await injectPerfCSS(page);
+      let jobCount = 0;
+
+      while (queue.length && !isCancelled()) {
+        await guard.whenClear(signal);
+        if (guard.gaveUp || isCancelled()) break;
+        const link = queue.shift();
+        if (!link) break;
+
+        const linkStart = Date.now();
+        try {
+          const { result: row, page: newPage } = await workWithRetry(adapter, page, link, contextDetail, signal, { provenance, limiter: pace, guard, signal }, detailTimeoutMs);
+          page = newPage;
+          jobCount++;
+
+          // Recycle page periodically
+          if (jobCount % PAGE_RECYCLE_AFTER === 0) {
+            await page.close();
+            page = await contextDetail.newPage();
+            await injectPerfCSS(page);
+          }
+
+          acceptRow(row, `Worker ${workerId}`, () => trackListing(row, link));
+          finishLink(link);
+        } catch (e) {
+          if (isCancelled()) break; // aborted mid-page, not a real failure
+          // listing removed: nothing to parse, but still counted under NOT_FOUND
+          log(`Worker ${workerId}: ${e.pageState === "not_found" ? "🚫" : "❌"} ${e.message}`);
+          meta.errors.push(errorRecord(e, {
+            url: link,
+            stage: "detail",
+            durationMs: Date.now() - linkStart,
+            source: linkSource.get(link) || null,
+          }));
+          finishLink(link);
+        }
+      }
+
+      await page.close().catch(() => {});
+    }
+
+    // Run workers in parallel
+    try {
+      await contextDetail.route("**/*", makeRouteHandler(routeMode));
+      const workers = [];
+      for (let i = 0; i < concurrency; i++) {
+        workers.push(worker(i + 1));
+      }
+      await Promise.all(workers);
+    } finally {
+      saveCheckpoint(); // links finished since the last throttled one
+      await closeContext(contextDetail);
+      await closeBrowser();
     }
-    await Promise.all(workers);
-  } finally {
-    await contextDetail.close().catch(() => {});
-    await browser.close().catch(() => {});
   }
 
+  signal?.removeEventListener("abort", onAbort);
+
   // ============================================
   // 📊 FINALIZE RESULTS
   // ============================================
 
+  meta.cancelled = isCancelled();
   meta.elapsedMs = Date.now() - t0;
   meta.endedAt = nowISO();
+  meta.request_rate = pace.summary();
+  meta.page_states = guard.summary();
+  meta.degraded = guard.degraded();
+  meta.error_stats = summarizeErrors(meta.errors);
   meta.avg_quality_score = rows.length > 0 
     ? Math.round(rows.reduce((sum, r) => sum + r.quality_score, 0) / rows.length) 
     : 0;
 
+  // Rewards: new links + quality of the rows each source produced.
+  // A cancelled run leaves them to its resume (sourceResults are in the checkpoint)
+  for (const [sourceId, res] of isCancelled() ? [] : sourceResults) {
+    const avgQuality = res.rows > 0 ? res.qualitySum / res.rows / 100 : null;
+    aiEngine.recordSourcePerformance(sourceId, {
+      success: res.newLinks > 0,
+      linksFound: res.newLinks,
+      avgQuality,
+    });
+    meta.source_rewards.push({
+      id: sourceId,
+      new_links: res.newLinks,
+      rows: res.rows,
+      avg_quality: avgQuality === null ? null : Math.round(avgQuality * 100),
+      reward: Number(aiEngine.sourcePerformance.get(sourceId).lastReward.toFixed(3)),
+    });
+  }
+
   const insights = aiEngine.generateInsights();
 
+  if (learning) {
+    try {
+      await learning.save(adapter.id, aiEngine.exportState());
+    } catch (e) {
+      log(`⚠️ Cannot save learning state: ${e.message}`);
+    }
+  }
+
+  if (listingIndex) {
+    try {
+      await listingIndex.flush(adapter.id);
+    } catch (e) {
+      log(`⚠️ Cannot save listing index: ${e.message}`);
+    }
+  }
+
   log("\n" + "=".repeat(70));
   log("🎉 SCRAPING COMPLETE");
   log(`📊 Results: ${rows.length} listings | Quality: ${meta.avg_quality_score}%`);
   log(`🔁 Duplicates removed: ${meta.duplicates_removed}`);
   log(`💰 Price range: ฿${insights.priceRange.min.toLocaleString()} - ฿${insights.priceRange.max.toLocaleString()}`);
   log(`⏱️  Time: ${Math.round(meta.elapsedMs / 1000)}s`);
+  if (meta.degraded) {
+    log(`🛡️ Degraded: ${meta.page_states.blocked} blocked, ${meta.page_states.rate_limited} rate-limited pages (${meta.page_states.last_reason})`);
+  }
   log("=".repeat(70) + "\n");
 
   emitProgress(opts, { 
-    stage: "done", 
-    message: `Done: ${rows.length} high-quality listings`, 
+    stage: meta.cancelled ? "cancelled" : "done", 
+    message: meta.cancelled ? `Cancelled: kept ${rows.length} listings` : `Done: ${rows.length} high-quality listings`, 
     meta, 
     insights 
   });
 
   // Normalize final output
-  const finalRows = rows.map((r) => {
-    const o = {};
-    for (const k of SCHEMA_KEYS) o[k] = r?.[k] ?? null;
-    return o;
-  });
+  const finalRows = rows.map(normalizeRow);
 
   return { rows: finalRows, meta, insights };
-}
\ No newline at end of file
+}
+
+// Helpers shared with server.js and scripts/golden.js
+export { SCHEMA_KEYS };
+export { isLivingDetailUrl, listingIdFromUrl } from "./adapters/livinginsider.js";
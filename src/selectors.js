@@ -0,0 +1,138 @@
+// ============================================
+// 🎯 DETAIL PAGE SELECTOR REGISTRY (LivingInsider)
+// ============================================
+//
+// Every field the LivingInsider detail extractor (adapters/livinginsider.js)
+// reads, with its selectors in the order they are tried. The first strategy
+// that yields a non-empty value wins, and (with opts.provenance) the row's
+// _provenance map records which one.
+//
+// Strategy shapes:
+//   { css, attr?, all?, match?, flags?, minLength?, maxLength?, scope?, exclude?, index?, minItems? }
+//     css       - querySelector(All) inside document (or inside the first `scope` match)
+//     attr      - read an attribute (or the first non-empty of a list) instead of text
+//     all       - scan every match, not only the first
+//     match     - regex the text must contain (filter only)
+//     index     - pick the Nth non-empty text (negative = from the end), needs minItems
+//     exclude   - css removed from a clone before reading its text
+//   { regex, flags?, group? }
+//     regex     - run against the whole page text, returns capture `group` (default 1)
+//   { css, name, distance }   nearby places: one item per css match
+//   { css, name }             facilities: one item per css match
+//
+// OVERRIDE:
+//   SCRAPE_SELECTORS_FILE=/path/to/selectors.json
+//   { "contact_phone": [{ "css": "#new_phone_id" }, { "regex": "0\\d{9}", "group": 0 }] }
+//   A field in the file replaces that field's whole list; other fields keep the defaults.
+//
+// ============================================
+
+import fs from "fs";
+
+const BREADCRUMB = 'nav[aria-label="breadcrumb"] a, .breadcrumb a';
+const AGENT_SECTION = '[class*="agent"], [class*="seller"]';
+const PRICE_TEXT = "^฿.*\\d";
+const PHONE = "0[\\d\\s-]{8,}";
+const STATS = ":\\s*([\\d,]+)\\s*:\\s*([\\d,]+)";
+
+export const DEFAULT_DETAIL_SELECTORS = {
+  listing_title: [
+    { css: "h1.font_sarabun.show-title, h1.show-title", minLength: 11 },
+    { css: "h1" },
+  ],
+  project_name: [{ css: BREADCRUMB, index: -2, minItems: 3, minLength: 3, maxLength: 99 }],
+  location_text: [{ css: BREADCRUMB, index: -2, minItems: 2, maxLength: 40 }],
+  breadcrumb: [{ css: BREADCRUMB, all: true, maxLength: 40 }],
+  badges: [{ css: '.badge, .tag, span[class*="badge"]', all: true, maxLength: 30 }],
+
+  // Price
+  price_text: [
+    { css: '[class*="price"]:not([class*="old"]) *', all: true, match: PRICE_TEXT, maxLength: 30 },
+    { css: "*", all: true, match: PRICE_TEXT, maxLength: 30 },
+  ],
+  old_price_text: [{ css: 's, del, [class*="old-price"]' }],
+  price_psm: [{ regex: "\\(([^)]*บ[^)]*\\/[^)]*ตร[^)]*)\\)" }],
+
+  // Specs (page text)
+  bedrooms: [{ regex: "(\\d+)\\s*ห้องนอน" }],
+  bathrooms: [{ regex: "(\\d+)\\s*ห้องน้ำ" }],
+  usable_area_sqm: [{ regex: "(\\d+(?:\\.\\d+)?)\\s*ตร\\.ม\\." }],
+  floor: [{ regex: "(\\d+)\\s*ชั้น" }],
+  parking: [{ regex: "(\\d+)\\s*ที่จอดรถ" }],
+  views: [{ regex: STATS, group: 1 }],
+  clicks: [{ regex: STATS, group: 2 }],
+
+  // Dates
+  created_at_iso: [{ css: '[class*="date"], time', all: true, match: "สร้าง" }],
+  bumped_at_iso: [{ css: '[class*="date"], time', all: true, match: "ดัน" }],
+
+  // Agent
+  agent_name: [{ scope: AGENT_SECTION, css: 'h3, h4, [class*="name"]' }],
+  agent_verified: [{ css: AGENT_SECTION, match: "verified", flags: "i" }],
+
+  // Contact
+  contact_phone: [
+    { css: "#phone_number_modal_show" },
+    { css: 'span[id^="hideTel_"]', all: true, match: PHONE },
+    { regex: PHONE, group: 0 },
+  ],
+  contact_email: [{ css: 'a[href^="mailto:"]', attr: "href" }],
+  contact_line_url: [{ css: 'a[href*="line.me"], a[href*="lin.ee"], a[href*="line.me/R/ti/p"]', attr: "href" }],
+  contact_line_id: [{ regex: "@([a-zA-Z0-9._-]{3,30})" }],
+  contact_facebook_url: [{ css: 'a[href*="facebook.com"]', attr: "href" }],
+
+  // Content
+  images: [{ css: "img", all: true, attr: ["src", "data-src"] }],
+  description_text: [{ css: '[class*="description"], .detail-content', exclude: "nav, footer, script, style" }],
+
+  // Lists
+  nearby_all_json: [{ css: ".box-link-map", name: ".box-map-l span", distance: ".box-map-l p" }],
+  facilities_json: [{ css: ".item_property_highlight", name: ".text_property_highlight" }],
+};
+
+/**
+ * Check one field's strategies, throws on a malformed entry
+ * @param {string} field - Field name
+ * @param {Array} list - Strategies
+ */
+function validateField(field, list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`selectors: "${field}" must be a non-empty array`);
+  }
+  list.forEach((s, i) => {
+    const where = `selectors: ${field}[${i}]`;
+    if (!s || typeof s !== "object") throw new Error(`${where} must be an object`);
+    if (!s.css && !s.regex) throw new Error(`${where} needs "css" or "regex"`);
+    for (const key of ["regex", "match"]) {
+      if (s[key] === undefined) continue;
+      try {
+        new RegExp(s[key], s.flags || "");
+      } catch (e) {
+        throw new Error(`${where}.${key}: ${e.message}`);
+      }
+    }
+  });
+}
+
+let cached = null;
+
+/**
+ * Default registry merged with SCRAPE_SELECTORS_FILE (read once)
+ * @returns {object} field -> strategies
+ */
+export function loadDetailSelectors() {
+  if (cached) return cached;
+
+  const merged = { ...DEFAULT_DETAIL_SELECTORS };
+  const file = process.env.SCRAPE_SELECTORS_FILE;
+  if (file) {
+    const override = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [field, list] of Object.entries(override)) {
+      validateField(field, list);
+      merged[field] = list;
+    }
+  }
+
+  cached = merged;
+  return cached;
+}
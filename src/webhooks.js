@@ -0,0 +1,235 @@
+// ============================================
+// 📣 WEBHOOKS
+// ============================================
+//
+// Outgoing webhooks for job lifecycle events, so downstream systems
+// (ETL, chat bots) learn about finished jobs without an SSE connection.
+//
+// Events: job.started, job.done, job.error, job.cancelled
+// (job.done covers status "degraded" too: finished, but some pages were blocked)
+//
+// Each delivery is a POST with a JSON body {id, event, ts, job} and headers
+//   X-Webhook-Event      event name
+//   X-Webhook-Delivery   delivery id (same on retries)
+//   X-Webhook-Timestamp  unix seconds
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the subscription secret>
+//
+// Failed deliveries (network error, timeout, 429, 5xx) are retried with
+// exponential backoff: retryBaseMs, 2×, 4×, ... up to maxAttempts. Other
+// 4xx responses are not retried.
+//
+// Interface:
+//   list()                 - subscriptions without secrets (sync)
+//   create(input)          - {url, events, secret?, enabled} -> subscription incl. secret (async)
+//   update(id, patch)      - same fields, all optional -> subscription or null (async)
+//   remove(id)             - true if it existed (async)
+//   emit(event, job)       - deliver to every matching subscription (fire and forget)
+//   deliveries({webhookId, limit}) - recent deliveries, newest first (sync)
+//
+// ============================================
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+const VERSION = 1;
+export const WEBHOOK_EVENTS = ["job.started", "job.done", "job.error", "job.cancelled"];
+
+const MAX_DELIVERIES = 200; // recent deliveries kept in memory
+const REQUEST_TIMEOUT_MS = 10_000;
+
+/**
+ * Signature header value for a body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/** subscription as shown by the API (secret masked) */
+const publicView = (s) => ({ ...s, secret: s.secret ? `${s.secret.slice(0, 4)}…` : null });
+
+/**
+ * Validate events for a subscription
+ * @param {Array|string|undefined} events - Event names, "*" or empty for all
+ * @returns {Array} Event names
+ */
+function normalizeEvents(events) {
+  const list = (Array.isArray(events) ? events : String(events || "").split(","))
+    .map((e) => String(e).trim())
+    .filter(Boolean);
+  if (!list.length || list.includes("*")) return [...WEBHOOK_EVENTS];
+  const unknown = list.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`Unknown webhook events: ${unknown.join(", ")} (use ${WEBHOOK_EVENTS.join(", ")})`);
+  return [...new Set(list)];
+}
+
+function normalizeUrl(url) {
+  const u = String(url || "").trim();
+  if (!/^https?:\/\//i.test(u)) throw new Error("webhook url must start with http/https");
+  return u;
+}
+
+/**
+ * Create the webhook dispatcher
+ * @param {object} options - {file: JSON path or null for memory, maxAttempts, retryBaseMs}
+ * @returns {object} Webhooks (see interface above)
+ */
+export function createWebhooks({ file = null, maxAttempts = 5, retryBaseMs = 2000 } = {}) {
+  const subs = new Map(); // id -> subscription
+  const recent = []; // deliveries, oldest first
+  let pending = Promise.resolve();
+
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      if (fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (parsed?.version === VERSION && Array.isArray(parsed.webhooks)) {
+          for (const s of parsed.webhooks) subs.set(s.id, s);
+        }
+      }
+    } catch (e) {
+      console.error(`[webhook] Cannot read ${path.basename(file)}: ${e.message}`);
+    }
+  }
+
+  /** write all subscriptions (temp + rename), one write at a time */
+  const flush = () => {
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify({ version: VERSION, webhooks: [...subs.values()] });
+    pending = pending.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    }).catch((e) => {
+      console.error(`[webhook] Cannot write ${path.basename(file)}: ${e.message}`);
+    });
+    return pending;
+  };
+
+  /** POST one delivery, retrying with backoff; updates the delivery record in place */
+  const deliver = async (sub, delivery, body) => {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const ts = Math.floor(Date.now() / 1000);
+      delivery.attempts = attempt;
+      delivery.lastAttemptAt = new Date().toISOString();
+
+      let retry = true;
+      try {
+        const r = await fetch(sub.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "livinginsider-scraper-webhook/1",
+            "X-Webhook-Event": delivery.event,
+            "X-Webhook-Delivery": delivery.id,
+            "X-Webhook-Timestamp": String(ts),
+            "X-Webhook-Signature": signPayload(sub.secret, ts, body),
+          },
+          body,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        delivery.statusCode = r.status;
+        if (r.ok) {
+          delivery.status = "delivered";
+          delivery.error = null;
+          return;
+        }
+        delivery.error = `HTTP ${r.status}`;
+        retry = r.status === 429 || r.status >= 500;
+      } catch (e) {
+        delivery.statusCode = null;
+        delivery.error = String(e?.message || e);
+      }
+
+      if (!retry || attempt === maxAttempts) break;
+      delivery.status = "retrying";
+      await new Promise((resolve) => setTimeout(resolve, retryBaseMs * 2 ** (attempt - 1)).unref());
+    }
+
+    delivery.status = "failed";
+    console.error(`[webhook] ${delivery.event} -> ${sub.url} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+  };
+
+  return {
+    driver: file ? "file" : "memory",
+
+    list() {
+      return [...subs.values()].map(publicView);
+    },
+
+    async create({ url, events, secret, enabled = true }) {
+      const now = new Date().toISOString();
+      const s = {
+        id: uuidv4(),
+        url: normalizeUrl(url),
+        events: normalizeEvents(events),
+        secret: String(secret || "").trim() || crypto.randomBytes(24).toString("hex"),
+        enabled: Boolean(enabled),
+        createdAt: now,
+        updatedAt: now,
+      };
+      subs.set(s.id, s);
+      await flush();
+      return { ...s }; // the only response that shows the full secret
+    },
+
+    async update(id, patch) {
+      const s = subs.get(id);
+      if (!s) return null;
+      if (patch.url !== undefined) s.url = normalizeUrl(patch.url);
+      if (patch.events !== undefined) s.events = normalizeEvents(patch.events);
+      if (patch.secret) s.secret = String(patch.secret).trim();
+      if (patch.enabled !== undefined) s.enabled = Boolean(patch.enabled);
+      s.updatedAt = new Date().toISOString();
+      await flush();
+      return publicView(s);
+    },
+
+    async remove(id) {
+      const existed = subs.delete(id);
+      if (existed) await flush();
+      return existed;
+    },
+
+    emit(event, job) {
+      for (const sub of subs.values()) {
+        if (!sub.enabled || !sub.events.includes(event)) continue;
+
+        const delivery = {
+          id: uuidv4(),
+          webhookId: sub.id,
+          url: sub.url,
+          event,
+          jobId: job?.jobId || null,
+          status: "pending",
+          attempts: 0,
+          statusCode: null,
+          error: null,
+          createdAt: new Date().toISOString(),
+          lastAttemptAt: null,
+        };
+        recent.push(delivery);
+        if (recent.length > MAX_DELIVERIES) recent.splice(0, recent.length - MAX_DELIVERIES);
+
+        const body = JSON.stringify({ id: delivery.id, event, ts: delivery.createdAt, job });
+        deliver(sub, delivery, body).catch((e) => {
+          delivery.status = "failed";
+          delivery.error = String(e?.message || e);
+        });
+      }
+    },
+
+    deliveries({ webhookId = null, limit = 50 } = {}) {
+      return recent
+        .filter((d) => !webhookId || d.webhookId === webhookId)
+        .slice(-limit)
+        .reverse();
+    },
+  };
+}